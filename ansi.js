@@ -0,0 +1,247 @@
+/**
+ * The colors of the 16 basic ANSI colors: black, red, green, yellow, blue, magenta, cyan and white, followed by their
+ * bright variants
+ * @type {string[]}
+ */
+export const DEFAULT_PALETTE = [
+  '#000000', '#cd0000', '#00cd00', '#cdcd00', '#0000ee', '#cd00cd', '#00cdcd', '#e5e5e5',
+  '#7f7f7f', '#ff0000', '#00ff00', '#ffff00', '#5c5cff', '#ff00ff', '#00ffff', '#ffffff',
+];
+
+/* CSI sequences (the SGR parameters are captured if the final byte is 'm'), OSC sequences and other escapes */
+// eslint-disable-next-line no-control-regex
+const SEQUENCE = /\x1b\[([0-?]*)[ -/]*([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[ -/]*[0-~]/g;
+
+/* An escape sequence that's cut off at the end of a chunk */
+// eslint-disable-next-line no-control-regex
+const INCOMPLETE_SEQUENCE = /\x1b(?:\[[0-?]*[ -/]*|\][^\x07\x1b]*\x1b?|[ -/]*)$/;
+
+/* Incomplete sequences that are longer than this aren't escape sequences, but garbage */
+const MAX_PENDING_LENGTH = 256;
+
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/**
+ * @param {string} text
+ * @returns {string} The text with the HTML special characters escaped
+ */
+export function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+  })[char]);
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text without any ANSI escape sequences
+ */
+export function stripAnsi(text) {
+  return text.replace(SEQUENCE, '');
+}
+
+/**
+ * Converts text with ANSI escape sequences to HTML. The SGR sequences (colors, 256 colors, truecolor, bold, dim,
+ * italic, underline, strikethrough, inverse and reset) become spans with inline styles. All other sequences, such as
+ * cursor movements, are dropped. The style and escape sequences that are cut off are carried over to the next call to
+ * render(), so chunks of a stream can be rendered one by one
+ * @example
+ * <code>
+ *  const renderer = new AnsiRenderer();
+ *  logtail.on(DataAppendedEvent.name, evt => {
+ *    output.insertAdjacentHTML('beforeend', renderer.render(evt.detail));
+ *  });
+ * </code>
+ */
+export default class AnsiRenderer {
+  /**
+   * @param {object} opts
+   * @param {string[]} opts.palette The CSS colors of the 16 basic colors. Defaults to DEFAULT_PALETTE
+   */
+  constructor(opts = {}) {
+    this.palette = opts.palette || DEFAULT_PALETTE;
+    this.reset();
+  }
+
+  /**
+   * Forgets the current style and any escape sequence that was cut off
+   */
+  reset() {
+    this._style = {};
+    this._pending = '';
+  }
+
+  /**
+   * Converts the next chunk of text to HTML
+   * @param {string} text
+   * @returns {string} The escaped HTML
+   */
+  render(text) {
+    text = this._pending + text;
+    this._pending = '';
+    const incomplete = INCOMPLETE_SEQUENCE.exec(text);
+    if (incomplete && incomplete[0].length <= MAX_PENDING_LENGTH) {
+      this._pending = incomplete[0];
+      text = text.substring(0, incomplete.index);
+    }
+
+    let html = '';
+    let last = 0;
+    let match;
+    SEQUENCE.lastIndex = 0;
+    while ((match = SEQUENCE.exec(text))) {
+      html += this.span(text.substring(last, match.index));
+      if (match[2] === 'm') {
+        this.applySgr(match[1]);
+      }
+      last = SEQUENCE.lastIndex;
+    }
+    return html + this.span(text.substring(last));
+  }
+
+  /**
+   * Helper method for wrapping text in a span with the current style
+   * @param {string} text
+   * @returns {string}
+   */
+  span(text) {
+    if (!text) {
+      return '';
+    }
+    const css = this.css;
+    return css ? `<span style="${css}">${escapeHtml(text)}</span>` : escapeHtml(text);
+  }
+
+  /**
+   * Applies the parameters of an SGR sequence to the current style
+   * @param {string} params e.g. '1;31', '38;2;255;128;0' or '38:2::255:128:0'
+   */
+  applySgr(params) {
+    const groups = (params || '0').split(';').map(group => group.split(':').map(code => code === '' ? 0 : parseInt(code, 10)));
+    const style = this._style;
+    for (let i = 0; i < groups.length; i++) {
+      const code = groups[i][0];
+      if (code === 38 || code === 48) {
+        /* The color is either in the sub-parameters of the group or in the following parameters */
+        const args = groups[i].length > 1 ? groups[i].slice(1) : groups.slice(i + 1).map(group => group[0]);
+        let color;
+        let used;
+        if (args[0] === 5) {
+          color = this.color256(args[1]);
+          used = 2;
+        } else if (args[0] === 2) {
+          /* The sub-parameter form may have a color space id before the components */
+          const components = groups[i].length > 5 ? args.slice(2, 5) : args.slice(1, 4);
+          color = `rgb(${components.map(component => Math.min(component || 0, 255)).join(',')})`;
+          used = 4;
+        }
+        if (color) {
+          style[code === 38 ? 'color' : 'background'] = color;
+        }
+        i += groups[i].length > 1 ? 0 : used || 0;
+      } else {
+        this.applySgrCode(code);
+      }
+    }
+  }
+
+  /**
+   * Helper method for applying a single SGR code that doesn't take arguments
+   * @param {number} code
+   */
+  applySgrCode(code) {
+    const style = this._style;
+    if (code === 0) {
+      Object.keys(style).forEach(key => delete style[key]);
+    } else if (code === 1) {
+      style.bold = true;
+    } else if (code === 2) {
+      style.dim = true;
+    } else if (code === 3) {
+      style.italic = true;
+    } else if (code === 4) {
+      style.underline = true;
+    } else if (code === 7) {
+      style.inverse = true;
+    } else if (code === 9) {
+      style.strike = true;
+    } else if (code === 22) {
+      style.bold = style.dim = false;
+    } else if (code === 23) {
+      style.italic = false;
+    } else if (code === 24) {
+      style.underline = false;
+    } else if (code === 27) {
+      style.inverse = false;
+    } else if (code === 29) {
+      style.strike = false;
+    } else if (code >= 30 && code <= 37) {
+      style.color = this.palette[code - 30];
+    } else if (code >= 90 && code <= 97) {
+      style.color = this.palette[code - 90 + 8];
+    } else if (code === 39) {
+      delete style.color;
+    } else if (code >= 40 && code <= 47) {
+      style.background = this.palette[code - 40];
+    } else if (code >= 100 && code <= 107) {
+      style.background = this.palette[code - 100 + 8];
+    } else if (code === 49) {
+      delete style.background;
+    }
+  }
+
+  /**
+   * @param {number} index An index of the 256 color palette
+   * @returns {string|undefined} The CSS color
+   */
+  color256(index) {
+    if (!(index >= 0 && index <= 255)) {
+      return undefined;
+    } else if (index < 16) {
+      return this.palette[index];
+    } else if (index < 232) {
+      const cube = index - 16;
+      return `rgb(${CUBE_LEVELS[Math.floor(cube / 36)]},${CUBE_LEVELS[Math.floor(cube / 6) % 6]},${CUBE_LEVELS[cube % 6]})`;
+    }
+    const gray = 8 + (index - 232) * 10;
+    return `rgb(${gray},${gray},${gray})`;
+  }
+
+  /**
+   * @returns {string} The inline CSS of the current style. Empty if it's the default style
+   */
+  get css() {
+    const style = this._style;
+    let color = style.color;
+    let background = style.background;
+    if (style.inverse) {
+      color = style.background || 'Canvas';
+      background = style.color || 'CanvasText';
+    }
+
+    const css = [];
+    if (color) {
+      css.push(`color:${color}`);
+    }
+    if (background) {
+      css.push(`background-color:${background}`);
+    }
+    if (style.bold) {
+      css.push('font-weight:bold');
+    }
+    if (style.dim) {
+      css.push('opacity:0.7');
+    }
+    if (style.italic) {
+      css.push('font-style:italic');
+    }
+    const decorations = [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean);
+    if (decorations.length > 0) {
+      css.push(`text-decoration:${decorations.join(' ')}`);
+    }
+    return css.join(';');
+  }
+}
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+import { run } from '../cli.js';
+
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+process.once('SIGTERM', () => controller.abort());
+process.stdout.on('error', error => {
+  /* e.g. when piped to head */
+  process.exit(error.code === 'EPIPE' ? 0 : 1);
+});
+
+run(process.argv.slice(2), {signal: controller.signal}).then(code => {
+  process.exit(code);
+}, error => {
+  process.stderr.write(`logtail: ${error.stack || error}\n`);
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+import LogTail, {
+  LinesAppendedEvent,
+  RecordsAppendedEvent,
+  TruncatedEvent,
+  RotatedEvent,
+  GaveUpEvent,
+  CausedBy,
+  ResourceNotFoundError,
+  LogFileTruncatedError,
+  LogFileRotatedError,
+  MissingHeaderError,
+  Non206ResponseError,
+  UnexpectedServerResponseError,
+  defaultOpts,
+} from './logtail.js';
+import FileTransport from './file-transport.js';
+
+/**
+ * The exit codes of the command-line tool
+ * @type {object}
+ */
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  notFound: 3,
+  unsupported: 4,
+  truncated: 5,
+};
+
+export const USAGE = `Usage: logtail <url|path> [options]
+
+Prints the end of a log and follows it like tail -f. The log is either the URL of a server that supports Range
+requests or the path of a local file.
+
+Options:
+  -n, --bytes <bytes>      The number of bytes to print from the end of the log. Defaults to ${defaultOpts.loadBytes}
+  -i, --interval <ms>      The time between polls. Defaults to ${defaultOpts.pollInterval}
+  -g, --grep <pattern>     Only print lines that match the regular expression. Can be repeated
+  -H, --header <header>    Send the header, e.g. 'Authorization: Bearer <token>'. Can be repeated
+  -p, --parser <name>      Parse the lines with the parser (ndjson, logfmt, clf or syslog)
+      --json               Print each line as a JSON object with its text, byteOffset, lineNumber and record
+      --once               Print the end of the log and exit instead of following it
+      --retry              Keep retrying if the log doesn't exist (yet)
+  -h, --help               Print this help
+
+Exit codes: 0 on success, 1 if the log can't be retrieved, 2 for invalid arguments, 3 if the log doesn't exist, 4 if
+the server doesn't support Range requests and 5 if the log was truncated in a way that can't be followed
+`;
+
+/**
+ * An error that's thrown for invalid command-line arguments
+ */
+export class UsageError extends Error {}
+
+const FLAGS = {
+  '--json': 'json',
+  '--once': 'once',
+  '--retry': 'retry',
+  '-h': 'help',
+  '--help': 'help',
+};
+
+const OPTIONS = {
+  '-n': 'bytes',
+  '--bytes': 'bytes',
+  '-i': 'interval',
+  '--interval': 'interval',
+  '-g': 'grep',
+  '--grep': 'grep',
+  '-H': 'header',
+  '--header': 'header',
+  '-p': 'parser',
+  '--parser': 'parser',
+};
+
+/**
+ * Parses the command-line arguments
+ * @param {string[]} argv The arguments without the node executable and the script
+ * @returns {object} The 'url' and options
+ * @throws {UsageError}
+ */
+export function parseArgs(argv) {
+  const args = {grep: [], headers: {}};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    } else if (!arg.startsWith('-') || arg === '-') {
+      positional.push(arg);
+      continue;
+    } else if (arg.startsWith('--') && arg.includes('=')) {
+      value = arg.substring(arg.indexOf('=') + 1);
+      arg = arg.substring(0, arg.indexOf('='));
+    }
+
+    if (FLAGS[arg] && value === undefined) {
+      args[FLAGS[arg]] = true;
+      continue;
+    } else if (!OPTIONS[arg]) {
+      throw new UsageError(`unknown option ${arg}`);
+    }
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`option ${arg} requires a value`);
+      }
+      value = argv[++i];
+    }
+    setOption(args, OPTIONS[arg], value);
+  }
+
+  if (args.help) {
+    return args;
+  } else if (positional.length !== 1) {
+    throw new UsageError(positional.length === 0 ? 'missing the url of the log' : `unexpected argument ${positional[1]}`);
+  }
+  args.url = positional[0];
+  return args;
+}
+
+/**
+ * Helper method for validating the value of an option and adding it to the arguments
+ * @param {object} args
+ * @param {string} name
+ * @param {string} value
+ * @throws {UsageError}
+ */
+function setOption(args, name, value) {
+  if (name === 'bytes' || name === 'interval') {
+    if (!/^[0-9]+$/.test(value) || value * 1 === 0) {
+      throw new UsageError(`--${name} must be a positive integer, not ${value}`);
+    }
+    args[name] = value * 1;
+  } else if (name === 'grep') {
+    try {
+      args.grep.push(new RegExp(value));
+    } catch (e) {
+      throw new UsageError(`invalid pattern ${value}: ${e.message}`);
+    }
+  } else if (name === 'header') {
+    const match = /^([^:\s]+):\s*(.*)$/.exec(value);
+    if (!match) {
+      throw new UsageError(`headers must look like 'Name: value', not ${value}`);
+    }
+    args.headers[match[1]] = match[2];
+  } else {
+    args[name] = value;
+  }
+}
+
+/**
+ * @param {Error} error
+ * @returns {string} A description of the error for the terminal
+ */
+export function describeError(error) {
+  if (error instanceof ResourceNotFoundError) {
+    return 'not found';
+  } else if (error instanceof LogFileRotatedError) {
+    return 'the log was replaced by another file';
+  } else if (error instanceof LogFileTruncatedError) {
+    return `the log was truncated from ${error.oldSize} to ${error.newSize === null ? 'an unknown number of' : error.newSize} bytes`;
+  } else if (error instanceof MissingHeaderError) {
+    return `the server doesn't support Range requests (the ${error.missingHeader} header is missing)`;
+  } else if (error instanceof Non206ResponseError) {
+    return `the server doesn't support Range requests (it responded with ${error.status})`;
+  } else if (error instanceof UnexpectedServerResponseError) {
+    return `the server responded with ${error.status} ${error.statusText || ''}`.trim();
+  } else if (error instanceof CausedBy && error.error) {
+    return `${error.message}: ${error.error.message || error.error}`;
+  }
+  return error.message || String(error);
+}
+
+/**
+ * @param {Error} error
+ * @returns {number} The exit code for the error
+ */
+export function exitCode(error) {
+  if (error instanceof ResourceNotFoundError) {
+    return EXIT_CODES.notFound;
+  } else if (error instanceof MissingHeaderError || error instanceof Non206ResponseError) {
+    return EXIT_CODES.unsupported;
+  } else if (error instanceof LogFileTruncatedError) {
+    return EXIT_CODES.truncated;
+  }
+  return EXIT_CODES.error;
+}
+
+/**
+ * Runs the command-line tool
+ * @param {string[]} argv The arguments without the node executable and the script
+ * @param {object} io
+ * @param {stream.Writable} io.stdout Defaults to process.stdout
+ * @param {stream.Writable} io.stderr Defaults to process.stderr
+ * @param {function} io.fetch Defaults to the global fetch()
+ * @param {AbortSignal} io.signal Stops following the log, e.g. on SIGINT
+ * @returns {Promise<number>} The exit code
+ */
+export async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    if (e instanceof UsageError) {
+      stderr.write(`logtail: ${e.message}\n\n${USAGE}`);
+      return EXIT_CODES.usage;
+    }
+    throw e;
+  }
+  if (args.help) {
+    stdout.write(USAGE);
+    return EXIT_CODES.ok;
+  }
+
+  const tail = new LogTail({
+    url: args.url,
+    transport: /^https?:\/\//.test(args.url) ? 'poll' : 'file',
+    fetch: io.fetch || null,
+    requestOptions: {headers: args.headers},
+    loadBytes: args.bytes || defaultOpts.loadBytes,
+    pollInterval: args.interval || defaultOpts.pollInterval,
+    parser: args.parser || null,
+    filters: args.grep,
+    lineMode: true,
+    retry: {
+      fatalErrors: defaultOpts.retry.fatalErrors.filter(fatalError => !args.retry || fatalError !== ResourceNotFoundError.name),
+    },
+  });
+
+  const print = (line, record) => {
+    if (args.json) {
+      const json = {text: line.text, byteOffset: line.byteOffset, lineNumber: line.lineNumber};
+      if (record) {
+        json.record = Object.assign({}, record, {error: record.error ? record.error.message : undefined});
+      }
+      stdout.write(`${JSON.stringify(json)}\n`);
+    } else {
+      stdout.write(`${line.text}\n`);
+    }
+  };
+  if (tail.parser) {
+    tail.on(RecordsAppendedEvent.name, evt => evt.detail.forEach(record => print({
+      text: record.raw,
+      byteOffset: record.byteOffset,
+      lineNumber: record.lineNumber,
+    }, record)));
+  } else {
+    tail.on(LinesAppendedEvent.name, evt => evt.detail.forEach(line => print(line)));
+  }
+  let lastError = null;
+  tail.on('error', error => {
+    lastError = error;
+    stderr.write(`logtail: ${args.url}: ${describeError(error)}\n`);
+  });
+  tail.on(TruncatedEvent.name, () => stderr.write(`logtail: ${args.url}: file truncated\n`));
+  tail.on(RotatedEvent.name, () => stderr.write(`logtail: ${args.url}: file replaced, following the new file\n`));
+
+  if (args.once) {
+    if (tail.transport instanceof FileTransport) {
+      stderr.write('logtail: --once is only supported for URLs\n');
+      return EXIT_CODES.usage;
+    }
+    tail.retry = false;
+    await tail.poll();
+    tail.flushLines();
+    tail.destroy();
+    return lastError ? exitCode(lastError) : EXIT_CODES.ok;
+  }
+
+  return new Promise(resolve => {
+    tail.on(GaveUpEvent.name, evt => resolve(exitCode(evt.detail.error)));
+    if (io.signal) {
+      io.signal.addEventListener('abort', () => {
+        tail.flushLines();
+        tail.destroy();
+        resolve(EXIT_CODES.ok);
+      });
+    }
+    tail.start();
+  });
+}
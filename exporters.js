@@ -0,0 +1,140 @@
+import AnsiRenderer, { escapeHtml } from './ansi.js';
+
+/**
+ * Exporters turn the lines that LogTail#exportLog() selected into the content of a file. An exporter has the MIME
+ * 'type' and the file 'extension' of its format and a 'format(lines, header)' function. It's called with the 'text',
+ * 'byteOffset', 'lineNumber' and, if a parser is set, 'record' of each line and with the header of the export, or null
+ * if the header is left out. The header has the 'url' of the log, the 'bytes' and 'lines' ranges ({start, end},
+ * inclusive, or null if they're unknown), the date it was 'capturedAt', the 'filter' and the 'count' of lines
+ */
+
+/**
+ * @param {object} header
+ * @returns {string[]} The header as 'name: value' lines
+ */
+function describeHeader(header) {
+  const range = range => range ? `${range.start}-${range.end}` : 'unknown';
+  const description = [
+    `url: ${header.url}`,
+    `bytes: ${range(header.bytes)}`,
+    `lines: ${range(header.lines)}`,
+    `captured: ${header.capturedAt.toISOString()}`,
+  ];
+  if (header.filter) {
+    description.push(`filter: ${header.filter.join(', ')}`);
+  }
+  return description;
+}
+
+/**
+ * @param {object} record
+ * @returns {object} The record with the message of its parse error, if any, so it can be serialized as JSON
+ */
+function serializableRecord(record) {
+  return Object.assign({}, record, {error: record.error ? record.error.message : undefined});
+}
+
+/**
+ * The formats of LogTail#exportLog()
+ * @type {object}
+ */
+export const EXPORTERS = {
+  /* The lines as they are, after the header as '# name: value' comments */
+  text: {
+    type: 'text/plain',
+    extension: 'log',
+    format(lines, header) {
+      const head = header ? describeHeader(header).map(line => `# ${line}\n`).join('') : '';
+      return head + lines.map(line => `${line.text}\n`).join('');
+    },
+  },
+  /* A JSON object per line with the 'text', 'byteOffset', 'lineNumber' and 'record', after a {header} object */
+  ndjson: {
+    type: 'application/x-ndjson',
+    extension: 'ndjson',
+    format(lines, header) {
+      const head = header ? `${JSON.stringify({header})}\n` : '';
+      return head + lines.map(line => `${JSON.stringify({
+        text: line.text,
+        byteOffset: line.byteOffset,
+        lineNumber: line.lineNumber,
+        record: line.record ? serializableRecord(line.record) : undefined,
+      })}\n`).join('');
+    },
+  },
+  /* A standalone page with the header and the lines, with their ANSI colors */
+  html: {
+    type: 'text/html',
+    extension: 'html',
+    format(lines, header) {
+      const renderer = new AnsiRenderer();
+      const body = lines.map(line => {
+        const attributes = [
+          line.lineNumber === undefined ? '' : ` data-line-number="${line.lineNumber}"`,
+          line.byteOffset === null ? '' : ` data-byte-offset="${line.byteOffset}"`,
+        ].join('');
+        return `<span class="line"${attributes}>${renderer.render(line.text)}</span>\n`;
+      }).join('');
+      const head = header ? `<header><dl>${describeHeader(header).map(line => {
+        const separator = line.indexOf(': ');
+        return `<dt>${escapeHtml(line.substring(0, separator))}</dt><dd>${escapeHtml(line.substring(separator + 2))}</dd>`;
+      }).join('')}</dl></header>\n` : '';
+      return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(header ? header.url : 'Log')}</title>`,
+        '<style>dl{display:grid;grid-template-columns:max-content auto;gap:0 1em}dd{margin:0}</style>',
+        '</head>',
+        '<body>',
+        `${head}<pre>${body}</pre>`,
+        '</body>',
+        '</html>',
+        '',
+      ].join('\n');
+    },
+  },
+};
+
+/**
+ * Exports the log via LogTail#exportLog() and lets the browser download it
+ * @example
+ * <code>
+ *   button.onclick = () => downloadExport(tail, {format: 'html', filter: tail.filters});
+ * </code>
+ * @param {LogTail} tail
+ * @param {object} opts The options of LogTail#exportLog(), and the 'filename' of the download
+ * @returns {object} The export
+ */
+export function downloadExport(tail, opts = {}) {
+  const exported = tail.exportLog(opts);
+  const url = URL.createObjectURL(new Blob([exported.content], {type: exported.type}));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = opts.filename || exported.filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  /* Revoking it right away may cancel the download in some browsers */
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return exported;
+}
+
+/**
+ * Exports the log via LogTail#exportLog() and writes it to a stream, e.g. a file in Node.js. The stream isn't ended
+ * @example
+ * <code>
+ *   await writeExport(tail, fs.createWriteStream('ticket-1234.ndjson'), {format: 'ndjson'});
+ * </code>
+ * @param {LogTail} tail
+ * @param {stream.Writable} stream
+ * @param {object} opts The options of LogTail#exportLog()
+ * @returns {Promise<object>} Resolves with the export once it's written
+ */
+export function writeExport(tail, stream, opts = {}) {
+  const exported = tail.exportLog(opts);
+  return new Promise((resolve, reject) => {
+    stream.write(exported.content, error => error ? reject(error) : resolve(exported));
+  });
+}
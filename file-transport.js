@@ -0,0 +1,48 @@
+import { streamLog } from './log-watcher.cjs';
+import { StreamTransport, TRANSPORTS } from './transports.js';
+import { ResourceNotFoundError } from './logtail.js';
+
+/**
+ * A transport for Node.js that tails a local file. The 'url' of the tail is the path of the file. The file is read
+ * with the same watcher as the one the middleware streams logs with, so the rest of a rotated file is emitted before
+ * the RotatedEvent and truncation is detected as well. Importing this module registers the transport as 'file'
+ * @example
+ * <code>
+ *   import LogTail from 'js-logtail';
+ *   import 'js-logtail/file-transport.js';
+ *   const tail = new LogTail({url: '/var/log/syslog', transport: 'file'});
+ *   tail.on(DataAppendedEvent.name, evt => process.stdout.write(evt.detail));
+ *   tail.f();
+ * </code>
+ */
+export class FileTransport extends StreamTransport {
+  connect(file) {
+    const connection = {};
+    const start = {offset: this._offset, tail: this.tail.loadBytes};
+    const opts = {
+      watchInterval: this.tail.pollInterval,
+      onOpen: () => this.opened(connection),
+    };
+    connection.close = streamLog(file, start, message => this.received(connection, message), opts, error => {
+      if (connection !== this._connection) {
+        return;
+      } else if (error.code === 'ENOENT') {
+        this.fail(this.tail.streamFailed(new ResourceNotFoundError(file)));
+      } else {
+        this.lost(connection, error);
+      }
+    });
+    return connection;
+  }
+
+  /**
+   * @returns {string} The path of the file
+   */
+  get url() {
+    return this.tail.url;
+  }
+}
+
+TRANSPORTS.file = FileTransport;
+
+export default FileTransport;
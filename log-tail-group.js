@@ -0,0 +1,299 @@
+import LogTail, { BaseEvent, LinesAppendedEvent, RecordsAppendedEvent } from './logtail.js';
+
+/**
+ * Tails several logs at once, e.g. the same service on several hosts or an app log next to its access log, and merges
+ * their lines into one stream that's ordered by timestamp. Each source is a LogTail in line mode with a name. The
+ * timestamp of a line is the one of its record if the source has a parser, otherwise the time it was received. Lines
+ * are held back for reorderWindow milliseconds after they're received, so lines of another source that arrive a bit
+ * later, because of clock skew or polling jitter, are still emitted in order
+ * @example
+ * <code>
+ *   const group = new LogTailGroup({
+ *     sources: {
+ *       web1: {url: 'https://web1/logs/app.log', parser: 'ndjson'},
+ *       web2: {url: 'https://web2/logs/app.log', parser: 'ndjson'},
+ *     },
+ *   });
+ *   group.on(EntriesAppendedEvent.name, evt => evt.detail.forEach(entry => console.log(entry.source, entry.text)));
+ *   group.start();
+ * </code>
+ */
+export class LogTailGroup {
+  /**
+   * @param {object} opts
+   * @param {object} opts.sources The options of the LogTail of each source, or the LogTail itself, by name
+   * @param {number} opts.reorderWindow The time, in milliseconds, lines are held back to put them in order. Defaults to
+   * 1 second
+   * @param {boolean} opts.debug Whether or not to log to the console. Defaults to false
+   */
+  constructor(opts = {}) {
+    this._listeners = {};
+    this._sources = new Map();
+    this._buffer = [];
+    this._sequence = 0;
+    this._started = false;
+    this.debug = !!opts.debug;
+    this.reorderWindow = opts.reorderWindow;
+    const sources = opts.sources || {};
+    Object.keys(sources).forEach(name => this.add(name, sources[name]));
+  }
+
+  /**
+   * Adds a source, which is started right away if the group is started. The group owns its tail, so it's destroyed
+   * when the source is removed
+   * @param {string} name
+   * @param {object|LogTail} opts The options of the LogTail, or the LogTail itself. Line mode is turned on
+   * @returns {LogTail}
+   * @throws {TypeError|Error} If the name is invalid or already taken
+   */
+  add(name, opts = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError(`Argument 'name' must be a non-empty string, not ${name}`);
+    } else if (this._sources.has(name)) {
+      throw new Error(`There's already a source named ${name}`);
+    }
+    const tail = opts instanceof LogTail ? opts : new LogTail(Object.assign({debug: this.debug}, opts));
+    tail.lineMode = true;
+
+    const controller = new AbortController();
+    const listen = {signal: controller.signal};
+    tail.on(LinesAppendedEvent.name, evt => {
+      /* The records of the lines follow */
+      if (!tail.parser) {
+        this.receive(evt.detail.map(line => toEntry(name, line.text, line, null)));
+      }
+    }, null, listen);
+    tail.on(RecordsAppendedEvent.name, evt => {
+      this.receive(evt.detail.map(record => toEntry(name, record.raw, record, record)));
+    }, null, listen);
+    tail.on('error', error => this.emit(SourceErrorEvent.name, new SourceErrorEvent(name, error)), null, listen);
+
+    this._sources.set(name, {tail, controller});
+    if (this._started) {
+      tail.start();
+    }
+    return tail;
+  }
+
+  /**
+   * Removes a source and destroys its tail. Its lines that are held back are still emitted
+   * @param {string} name
+   * @returns {boolean} False if there's no such source
+   */
+  remove(name) {
+    const source = this._sources.get(name);
+    if (!source) {
+      this.console.warn(`${this.remove.name}: there's no source named ${name}. Nothing has been removed`);
+      return false;
+    }
+    source.controller.abort();
+    source.tail.destroy();
+    this._sources.delete(name);
+    return true;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {LogTail|null} The tail of the source. Null if there's none
+   */
+  get(name) {
+    const source = this._sources.get(name);
+    return source ? source.tail : null;
+  }
+
+  /**
+   * Starts tailing all sources
+   */
+  start() {
+    this._started = true;
+    this.tails.forEach(tail => tail.start());
+  }
+
+  /**
+   * Stops tailing all sources and emits the lines that are held back
+   */
+  stop() {
+    this._started = false;
+    this.tails.forEach(tail => tail.stop());
+    this.flush();
+  }
+
+  /**
+   * Pauses one source, or all of them
+   * @param {string} name The name of the source. Defaults to all sources
+   */
+  pause(name) {
+    this.select(name).forEach(tail => tail.pause());
+  }
+
+  /**
+   * Resumes one source, or all of them
+   * @param {string} name The name of the source. Defaults to all sources
+   */
+  resume(name) {
+    this.select(name).forEach(tail => tail.resume());
+  }
+
+  /**
+   * Destroys all tails and removes all listeners. Lines that are held back are dropped
+   */
+  destroy() {
+    Array.from(this._sources.keys()).forEach(name => this.remove(name));
+    clearTimeout(this._releaseTimer);
+    this._buffer = [];
+    this._started = false;
+    this._listeners = {};
+  }
+
+  /**
+   * Emits all lines that are held back right away
+   */
+  flush() {
+    clearTimeout(this._releaseTimer);
+    this._releaseTimer = null;
+    this.emitEntries(this._buffer.splice(0, this._buffer.length));
+  }
+
+  /**
+   * Helper method for adding the entries of a source to the lines that are held back, in order
+   * @param {object[]} entries
+   */
+  receive(entries) {
+    const receivedAt = Date.now();
+    entries.forEach(entry => this._buffer.push({
+      entry,
+      receivedAt,
+      time: entry.timestamp ? entry.timestamp.getTime() : receivedAt,
+      sequence: this._sequence++,
+    }));
+    this._buffer.sort((a, b) => a.time - b.time || a.sequence - b.sequence);
+    this.release();
+  }
+
+  /**
+   * Helper method for emitting the lines that were held back for reorderWindow, from the earliest on, and scheduling
+   * the next release
+   */
+  release() {
+    clearTimeout(this._releaseTimer);
+    this._releaseTimer = null;
+    const now = Date.now();
+    let count = 0;
+    while (count < this._buffer.length && this._buffer[count].receivedAt + this.reorderWindow <= now) {
+      count++;
+    }
+    this.emitEntries(this._buffer.splice(0, count));
+    if (this._buffer.length > 0) {
+      this._releaseTimer = setTimeout(() => this.release(), this._buffer[0].receivedAt + this.reorderWindow - now);
+    }
+  }
+
+  /**
+   * @param {object[]} buffered
+   */
+  emitEntries(buffered) {
+    if (buffered.length > 0) {
+      this.emit(EntriesAppendedEvent.name, new EntriesAppendedEvent(buffered.map(item => item.entry)));
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {LogTail[]} The tail of the source, or all tails if there's no name
+   * @throws {Error} If there's no such source
+   */
+  select(name) {
+    if (name === undefined) {
+      return this.tails;
+    } else if (!this._sources.has(name)) {
+      throw new Error(`There's no source named ${name}`);
+    }
+    return [this.get(name)];
+  }
+
+  /**
+   * @returns {string[]} The names of the sources
+   */
+  get names() {
+    return Array.from(this._sources.keys());
+  }
+
+  /**
+   * @returns {LogTail[]} The tails of the sources
+   */
+  get tails() {
+    return Array.from(this._sources.values()).map(source => source.tail);
+  }
+
+  /**
+   * @returns {number} The time, in milliseconds, lines are held back to put them in order
+   */
+  get reorderWindow() {
+    return this._reorderWindow;
+  }
+
+  set reorderWindow(reorderWindow = 1000) {
+    if (typeof reorderWindow !== 'number' || !(reorderWindow >= 0)) {
+      throw new TypeError(`Property 'reorderWindow' must be a number >= 0, not ${reorderWindow}`);
+    }
+    this._reorderWindow = reorderWindow;
+  }
+}
+
+/* The group emits events like a LogTail */
+['on', 'once', 'off', 'listeners', 'emit', 'console'].forEach(name => {
+  Object.defineProperty(LogTailGroup.prototype, name, Object.getOwnPropertyDescriptor(LogTail.prototype, name));
+});
+
+/**
+ * @param {string} source
+ * @param {string} text
+ * @param {object} line The line or record with the 'byteOffset' and 'lineNumber'
+ * @param {object|null} record
+ * @returns {object} The entry for EntriesAppendedEvent
+ */
+function toEntry(source, text, line, record) {
+  return {
+    source,
+    text,
+    byteOffset: line.byteOffset,
+    lineNumber: line.lineNumber,
+    timestamp: record ? record.timestamp : null,
+    record,
+  };
+}
+
+/**
+ * An event that's emitted with the merged lines of all sources. The 'detail' property is an array of entries, ordered by
+ * timestamp, with the name of the 'source', the 'text', 'byteOffset' and 'lineNumber' of the line, its 'timestamp' (a
+ * Date or null) and its 'record' if the source has a parser
+ */
+export class EntriesAppendedEvent extends BaseEvent {
+  static get name() {
+    return 'entries-appended';
+  }
+
+  constructor(entries=[]) {
+    super(EntriesAppendedEvent.name, {
+      detail: entries,
+    });
+  }
+}
+
+/**
+ * An event that's emitted for each error of a source. The 'detail' property holds the name of the 'source' and the
+ * 'error'. The source applies its own retry policy
+ */
+export class SourceErrorEvent extends BaseEvent {
+  static get name() {
+    return 'source-error';
+  }
+
+  constructor(source, error) {
+    super(SourceErrorEvent.name, {
+      detail: {source, error},
+    });
+  }
+}
+
+export default LogTailGroup;
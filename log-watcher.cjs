@@ -0,0 +1,142 @@
+// Watches a local log and reads what's appended to it, for the streams of the middleware and the file transport
+const fs = require('fs');
+
+/* The maximum number of bytes in one message of a stream */
+const MAX_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Watches a log and sends the data that's appended to it as 'append' messages. Changes are picked up via fs.watch()
+ * and, where that misses them, by checking the file every watchInterval milliseconds. The file is kept open, so the
+ * rest of a file that's rotated is still sent before the 'rotated' message. If the file is smaller than the offset, a
+ * 'truncated' message is sent. The new file is sent from its start after either message
+ * @param {string} file
+ * @param {object} start The 'offset' from which to send the log and the number of 'tail' bytes to send of the file
+ * if there's no offset
+ * @param {function(message: object)} send
+ * @param {object} opts
+ * @param {number} opts.watchInterval How often, in milliseconds, the file is checked. Defaults to 250
+ * @param {function} opts.onOpen Called once the file was opened
+ * @param {function(error: Error)} onError Called if the log can't be read. The stream is stopped
+ * @returns {function} Stops watching the log
+ */
+function streamLog(file, start, send, opts, onError) {
+  let position = start.offset;
+  let handle = null;
+  let inode = null;
+  let watcher = null;
+  let closed = false;
+  let checking = false;
+  let changed = false;
+
+  const readTo = async size => {
+    while (position < size && !closed) {
+      const buffer = Buffer.alloc(Math.min(size - position, MAX_CHUNK_BYTES));
+      const {bytesRead} = await handle.read(buffer, 0, buffer.length, position);
+      if (bytesRead === 0) {
+        break;
+      }
+      send({type: 'append', offset: position, size, data: buffer.toString('base64', 0, bytesRead)});
+      position += bytesRead;
+    }
+  };
+  const reopen = async () => {
+    if (handle) {
+      await handle.close();
+    }
+    handle = await fs.promises.open(file, 'r');
+    const stats = await handle.stat();
+    inode = stats.ino;
+    if (watcher) {
+      watcher.close();
+    }
+    try {
+      watcher = fs.watch(file, {persistent: false}, check);
+      watcher.on('error', () => {});
+    } catch (e) {
+      /* The interval still picks up the changes */
+      watcher = null;
+    }
+    return stats.size;
+  };
+  const update = async () => {
+    const size = (await handle.stat()).size;
+    if (size < position) {
+      send({type: 'truncated', oldSize: position, size});
+      position = 0;
+    }
+    await readTo(size);
+
+    const current = await statFile(file);
+    if (current && current.ino !== inode && !closed) {
+      await readTo((await handle.stat()).size);
+      const oldSize = position;
+      const newSize = await reopen();
+      send({type: 'rotated', oldSize, size: newSize});
+      position = 0;
+      await readTo(newSize);
+    }
+  };
+  const check = async () => {
+    changed = true;
+    if (checking || closed) {
+      return;
+    }
+    checking = true;
+    try {
+      if (!handle) {
+        const size = await reopen();
+        position = position === undefined ? Math.max(size - start.tail, 0) : position;
+        if (opts.onOpen) {
+          opts.onOpen();
+        }
+      }
+      while (changed && !closed) {
+        changed = false;
+        await update();
+      }
+    } catch (e) {
+      if (!closed) {
+        stop();
+        onError(e);
+      }
+    }
+    checking = false;
+  };
+  const stop = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    fs.unwatchFile(file, check);
+    if (watcher) {
+      watcher.close();
+    }
+    const closing = handle && handle.close();
+    if (closing) {
+      closing.catch(() => {});
+    }
+  };
+
+  fs.watchFile(file, {interval: opts.watchInterval || 250}, check);
+  check();
+  return stop;
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<fs.Stats|null>} The stats of the file. Null if it doesn't exist or isn't a regular file
+ */
+async function statFile(file) {
+  try {
+    const stats = await fs.promises.stat(file);
+    return stats.isFile() ? stats : null;
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'ENOTDIR') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+module.exports.streamLog = streamLog;
+module.exports.statFile = statFile;
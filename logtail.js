@@ -1,14 +1,276 @@
 /* Copyright (c) 2012: Daniel Richman. License: GNU GPL 3 */
 /* Additional features: Priyesh Patel                     */
 /* ES6 update: Joseph Stone                               */
+import { getParser, parseLine, LEVELS } from './parsers.js';
+import { Transport, TRANSPORTS } from './transports.js';
+import { PERSISTENCE_ADAPTERS } from './persistence.js';
+import { TailStats } from './stats.js';
+import { EXPORTERS } from './exporters.js';
+
+export { registerParser, ParseError, LEVELS } from './parsers.js';
+export { Transport, PollingTransport, StreamTransport, EventSourceTransport, WebSocketTransport, TRANSPORTS } from './transports.js';
+export { MemoryAdapter, LocalStorageAdapter, IndexedDBAdapter, PERSISTENCE_ADAPTERS } from './persistence.js';
+export { TailStats } from './stats.js';
+export { EXPORTERS, downloadExport, writeExport } from './exporters.js';
+
 export const defaultOpts = {
   url: '/logs',
+  transport: 'poll',
+  streamUrl: null,
+  fetch: null,
+  requestOptions: {},
+  onRequest: null,
+  onResponse: null,
+  onAuthRequired: null,
   loadBytes: 30 * 1024, /* 30KB */
   pollInterval: 1000, /* 1s */
+  pauseWhenHidden: false,
   pause: false,
   debug: false,
+  lineMode: false,
+  lineFlushTimeout: 1000, /* 1s */
+  parser: null,
+  filters: [],
+  alerts: [],
+  multiline: null,
+  followRotation: true,
+  rotatedUrl: null,
+  identityHeaders: [],
+  maxBufferBytes: null,
+  maxBufferLines: null,
+  persistence: null,
+  maxCatchUpBytes: 1024 * 1024, /* 1MB */
+  statsInterval: 0,
+  statsWindow: 60 * 1000, /* 1min */
+  retry: {
+    initialDelay: null, /* pollInterval */
+    maxDelay: 60 * 1000, /* 1m */
+    factor: 2,
+    jitter: 0.5,
+    maxAttempts: Infinity,
+    fatalErrors: ['missing-header', 'ServerResponseTooLongError', 'LogFileTruncatedError', 'ResourceNotFoundError'],
+    retryableStatuses: [408, 425, 429, 500, 502, 503, 504],
+  },
+};
+
+/* Node.js before version 19 has no CustomEvent, so the events only get the 'type' and 'detail' there */
+export const BaseEvent = typeof CustomEvent === 'function' ? CustomEvent : class {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.detail = init.detail === undefined ? null : init.detail;
+  }
+};
+
+/**
+ * @param {string} str
+ * @returns {number} The number of bytes in the UTF-8 encoding of the string
+ */
+function byteLength(str) {
+  return new TextEncoder().encode(str).length;
+}
+
+/**
+ * @param {Error} error
+ * @returns {string[]} The names of the class of the error and all of its parent classes
+ */
+function errorClassNames(error) {
+  const names = [];
+  for (let proto = Object.getPrototypeOf(error); proto; proto = Object.getPrototypeOf(proto)) {
+    names.push(proto.constructor.name);
+  }
+  return names;
+}
+
+/**
+ * @param {object|Headers|Array<string[]>} headers The headers of fetch() options
+ * @returns {object} The headers as an object
+ */
+function headersToObject(headers) {
+  const object = {};
+  if (Array.isArray(headers)) {
+    headers.forEach(([name, value]) => object[name] = value);
+  } else if (headers && typeof headers.forEach === 'function') {
+    headers.forEach((value, name) => object[name] = value);
+  } else {
+    Object.assign(object, headers);
+  }
+  return object;
+}
+
+/**
+ * @param {string} name The name of the option
+ * @param {function|null} callback
+ * @returns {function|null} The callback if it's a function or null
+ * @throws {TypeError}
+ */
+function hook(name, callback) {
+  if (callback === null || typeof callback === 'function') {
+    return callback;
+  }
+  throw new TypeError(`Property '${name}' must be a function or null, not ${callback}`);
+}
+
+/**
+ * @param {string|RegExp|object|function} filter See LogTail#addFilter()
+ * @returns {function(line: object, record: object): boolean} A function that tests whether a line matches the filter
+ */
+function filterTest(filter) {
+  if (typeof filter === 'string') {
+    return line => line.text.includes(filter);
+  } else if (filter instanceof RegExp) {
+    const regex = new RegExp(filter.source, filter.flags.replace('g', '').replace('y', ''));
+    return line => regex.test(line.text);
+  } else if (typeof filter === 'function') {
+    return filter;
+  } else if (filter && LEVELS.includes(filter.level)) {
+    const minimum = LEVELS.indexOf(filter.level);
+    return (line, record) => !!(record && record.level && LEVELS.indexOf(record.level) >= minimum);
+  }
+  throw new TypeError(`A filter must be a string, a RegExp, a function or an object with a level of ${LEVELS.join(', ')}, not ${filter}`);
+}
+
+const TRACEBACK = 'Traceback (most recent call last):';
+const CHAINED_TRACEBACK = /^(The above exception was the direct cause of the following exception:|During handling of the above exception, another exception occurred:)$/;
+
+/**
+ * Tests whether a line starts a new entry of a Python log. Indented lines continue the entry, as do the lines of a
+ * traceback: the 'Traceback' header, the exception that follows the frames and, between chained tracebacks, the
+ * sentence that links them and the blank line before and after it
+ * @param {object} line
+ * @param {object} entry The entry that the line may continue
+ * @param {object} state The state of the entry, in which the position within a traceback is kept
+ * @returns {boolean}
+ */
+function startsPythonEntry(line, entry, state) {
+  const text = line.text;
+  if (state.traceback === undefined) {
+    /* The first line of an entry isn't tested, so it may be the header of a traceback */
+    state.traceback = entry.text === TRACEBACK ? 'frames' : null;
+  }
+  if (/^\s/.test(text)) {
+    return false;
+  }
+  const position = state.traceback;
+  if (text === TRACEBACK) {
+    state.traceback = 'frames';
+  } else if (position === 'frames' && text !== '') {
+    state.traceback = 'exception';
+  } else if (position === 'exception' && text === '') {
+    state.traceback = 'blank';
+  } else if (position === 'blank' && CHAINED_TRACEBACK.test(text)) {
+    state.traceback = 'chained';
+  } else if (position === 'chained' && text === '') {
+    state.traceback = 'blank';
+  } else {
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Tests for the first line of a multi-line entry, by name, for the 'multiline' option
+ * @type {object}
+ */
+export const MULTILINE_PRESETS = {
+  /* Lines that start with a date and time, e.g. '2024-01-02 03:04:05', '[2024-01-02T03:04:05Z]', '02/Jan/2024:03:04:05'
+     or 'Jan  2 03:04:05' */
+  timestamp: /^\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}|\d{2}\/[A-Z][a-z]{2}\/\d{4}:\d{2}:\d{2}|[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2})/,
+  /* Lines that aren't indented, e.g. the first line of a Java stack trace or of pretty-printed JSON. 'Caused by:',
+     '... 5 more' and closing brackets continue the entry */
+  indented: /^(?![\s}\]]|Caused by:|\.\.\. \d+ more)/,
+  /* Lines that aren't indented and aren't part of a Python traceback, including the exception after its frames */
+  python: startsPythonEntry,
 };
 
+/**
+ * @param {string|RegExp|function} multiline See the 'multiline' option of LogTail
+ * @returns {function(line: object, entry: object, state: object): boolean} A function that tests whether a line
+ * starts a new entry
+ */
+function multilineTest(multiline) {
+  const preset = typeof multiline === 'string' ? MULTILINE_PRESETS[multiline] : multiline;
+  if (preset instanceof RegExp) {
+    const regex = new RegExp(preset.source, preset.flags.replace('g', '').replace('y', ''));
+    return line => regex.test(line.text);
+  } else if (typeof preset === 'function') {
+    return preset;
+  }
+  throw new TypeError(`Property 'multiline' must be one of ${Object.keys(MULTILINE_PRESETS).join(', ')}, a RegExp, a function or null, not ${multiline}`);
+}
+
+/**
+ * Groups lines into multi-line entries. The text of an entry is the text of its lines, joined by newlines, and its
+ * 'byteOffset' and 'lineNumber' are the ones of its first line. 'lineCount' is the number of lines
+ * @param {object[]} lines
+ * @param {function(line: object, entry: object, state: object): boolean} startsEntry Called with each line, the entry
+ * it may continue and an object that holds the state of that entry for startsEntry
+ * @param {object|null} pending The last entry of the previous lines, which may continue
+ * @param {object} pendingState The state of the pending entry
+ * @returns {object} The complete 'entries', the last one, which is 'pending' since it may continue, and its 'state'
+ */
+function groupLines(lines, startsEntry, pending = null, pendingState = {}) {
+  const entries = [];
+  let entry = pending;
+  let state = pendingState;
+  lines.forEach(line => {
+    if (entry && !startsEntry(line, entry, state)) {
+      entry.text += `\n${line.text}`;
+      entry.lineCount++;
+    } else {
+      if (entry) {
+        entries.push(entry);
+      }
+      entry = Object.assign({}, line, {lineCount: 1});
+      state = {};
+    }
+  });
+  return {entries, pending: entry, state};
+}
+
+/**
+ * @param {object} rule See LogTail#addAlert()
+ * @returns {object} The rule with its 'test', the 'key' function if it's deduplicated, and its 'states' per key
+ * @throws {TypeError}
+ */
+function alertRule(rule) {
+  if (!rule || typeof rule !== 'object' || rule.match === undefined) {
+    throw new TypeError(`An alert rule must be an object with a 'match', not ${rule}`);
+  }
+  const number = (name, fallback, minimum) => {
+    const value = rule[name] === undefined ? fallback : rule[name];
+    if (typeof value !== 'number' || !(value >= minimum)) {
+      throw new TypeError(`The '${name}' of an alert rule must be a number >= ${minimum}, not ${value}`);
+    }
+    return value;
+  };
+  if (rule.dedupe !== undefined && typeof rule.dedupe !== 'boolean' && typeof rule.dedupe !== 'function') {
+    throw new TypeError(`The 'dedupe' of an alert rule must be a boolean or a function, not ${rule.dedupe}`);
+  }
+  return {
+    rule,
+    name: rule.name || String(rule.match),
+    test: filterTest(rule.match),
+    count: number('count', 1, 1),
+    window: number('window', 60 * 1000, 0),
+    cooldown: number('cooldown', 0, 0),
+    key: rule.dedupe === true ? line => line.text : rule.dedupe || null,
+    states: new Map(),
+  };
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} The number of UTF-8 continuation bytes at the start of the bytes, i.e. the tail of a character
+ * that started before them
+ */
+function leadingContinuationBytes(bytes) {
+  let i = 0;
+  while (i < bytes.length && i < 3 && (bytes[i] & 0xC0) === 0x80) {
+    i++;
+  }
+  return i;
+}
+
 /**
  * A class for tailing logs from a server. This requires that the server properly consumes the Range header (most should)
  */
@@ -17,14 +279,78 @@ export default class LogTail {
    * 
    * @param {object} opts
    * @param {string} opts.url
+   * @param {string|function} opts.transport How the data is retrieved: 'poll' for Range requests at the poll interval,
+   * 'sse' for Server-Sent Events, 'websocket', or a subclass of Transport. Defaults to 'poll'
+   * @param {string} opts.streamUrl The URL of the event stream or WebSocket. Defaults to the URL of the log
+   * @param {function} opts.fetch The implementation of fetch() that's used for all requests. Defaults to the global one
+   * @param {object} opts.requestOptions Options of fetch() that are added to every HEAD and Range request, e.g.
+   * 'headers', 'credentials' or 'signal'. Defaults to none
+   * @param {function} opts.onRequest Called with the URL and the options of fetch() before every request. It may
+   * change the options or return new ones, also via a promise. Defaults to null
+   * @param {function} opts.onResponse Called with the response, the URL and the options of fetch() after every request.
+   * It may return another response, also via a promise. Defaults to null
+   * @param {function} opts.onAuthRequired Called with the response if the server responds with 401 or 403. If the
+   * returned promise resolves to true, e.g. after refreshing a token, the request is sent once more. Defaults to null
    * @param {number} opts.loadBytes The number of bytes to load from the end of the file. Defaults to 30kb
-   * @param {number} opts.pollInterval The time to wait between polls. Defaults to 1 second
-   * @param {boolean} opts.pause Set to true to stop the poll, false to begin
+   * @param {number|object} opts.pollInterval The time to wait between polls, or an object with the 'min' and 'max'
+   * time for adaptive polling, and the 'factor' > 1 by which it grows while the log is quiet. Defaults to 1 second
+   * @param {boolean} opts.pauseWhenHidden Set to true to stop polling while the page is hidden. Defaults to false
+   * @param {boolean} opts.pause Set to true to create the tail in the 'paused' state. It only starts via resume()
    * @param {boolean} opts.debug Whether or not to log to the console. Defaults to false
+   * @param {boolean} opts.lineMode Set to true to also emit complete lines via LinesAppendedEvent. Defaults to false
+   * @param {number} opts.lineFlushTimeout The time a trailing partial line, or the last multi-line entry, is held back
+   * before it's emitted anyway. 0 disables the flush. Defaults to 1 second
+   * @param {string|function} opts.parser The name of a registered parser, or a parser function, that turns each line
+   * into a record emitted via RecordsAppendedEvent. Setting it turns on line mode. Defaults to null
+   * @param {Array<string|RegExp|object|function>} opts.filters Filters that lines must match to be emitted. See
+   * addFilter(). Setting them turns on line mode. Defaults to none
+   * @param {string|RegExp|function} opts.multiline Groups lines into multi-line entries, e.g. stack traces. A new entry
+   * starts with each line that matches the RegExp, for which the function returns true, or that matches a preset of
+   * MULTILINE_PRESETS ('timestamp', 'indented' or 'python'). The function is called with the line, the entry it may
+   * continue and an object in which it can keep the state of that entry. Setting it turns on line mode. Defaults to null
+   * @param {object[]} opts.alerts Rules that emit AlertEvent when lines match them. See addAlert(). Setting them turns
+   * on line mode. Defaults to none
+   * @param {boolean} opts.followRotation Set to false to emit LogFileTruncatedError and LogFileRotatedError instead of
+   * re-syncing with the new file. Defaults to true
+   * @param {string|function} opts.rotatedUrl The URL of the rotated file, or a function that maps the URL of the log to
+   * it. If set, the rest of the old file is fetched before re-syncing. Defaults to null
+   * @param {string[]} opts.identityHeaders Response headers that identify the file itself, e.g. an inode-based ETag. A
+   * change in any of them means the file was replaced. Defaults to none
+   * @param {number} opts.maxBufferBytes The maximum number of bytes kept in logData. Whole lines are evicted from the
+   * front once it's exceeded. Defaults to no limit
+   * @param {number} opts.maxBufferLines The maximum number of lines kept in logData. Defaults to no limit
+   * @param {string|object} opts.persistence The name of a persistence adapter ('localStorage', 'indexedDB' or
+   * 'memory') or an adapter with load() and save(). The position in the log is saved after each poll, and a new tail
+   * for the same URL catches up from there. Defaults to null
+   * @param {number} opts.maxCatchUpBytes The maximum number of bytes that are loaded when catching up, or from a file that
+   * replaced the tailed one. Defaults to 1MB
+   * @param {number} opts.statsInterval The time between StatsEvents while the tail runs. 0 turns them off. Defaults to 0
+   * @param {number} opts.statsWindow The time over which the rates, latencies and levels of stats() are computed.
+   * Defaults to 1 minute
+   * @param {object|boolean} opts.retry The retry policy for failed polls, merged with the defaults. Set to false to
+   * keep polling at the regular interval regardless of errors
+   * @param {number} opts.retry.initialDelay The delay before the first retry. Defaults to the poll interval
+   * @param {number} opts.retry.maxDelay The maximum delay between retries. Defaults to 1 minute
+   * @param {number} opts.retry.factor The factor by which the delay grows with each attempt. Defaults to 2
+   * @param {number} opts.retry.jitter The maximum random fraction that's added to each delay. Defaults to 0.5
+   * @param {number} opts.retry.maxAttempts The number of consecutive retries before giving up. Defaults to no limit
+   * @param {Array<string|function>} opts.retry.fatalErrors Event names or classes of errors that are never retried
+   * @param {number[]} opts.retry.retryableStatuses Status codes of failed responses that are retried. Errors with
+   * any other status are fatal
    */
   constructor(opts = {}) {
-    Object.assign(this, defaultOpts, opts);
     this._listeners = {};
+    this._state = 'idle';
+    this._session = 0;
+    this._stats = new TailStats();
+    /* 'pause' would hide the method pause() */
+    const options = Object.assign({}, defaultOpts, opts);
+    const pause = options.pause;
+    delete options.pause;
+    Object.assign(this, options);
+    if (pause) {
+      this._state = 'paused';
+    }
   }
 
   /**
@@ -32,19 +358,41 @@ export default class LogTail {
    * @param {string} event
    * @param {function} callback
    * @param {object} ctx
+   * @param {object} opts
+   * @param {boolean} opts.once Set to true to remove the listener after it was called once
+   * @param {AbortSignal} opts.signal Removes the listener when it's aborted
    */
-  on(event, callback, ctx) {
+  on(event, callback, ctx, opts = {}) {
+    if (opts.signal && opts.signal.aborted) {
+      return;
+    }
     this.console.debug(`EventEmitter: Adding listener ${callback} to event ${event} with context ${ctx}`);
-    this.listeners(event).push({callback, ctx});
+    this.listeners(event).push({callback, ctx, once: !!opts.once});
+    if (opts.signal) {
+      opts.signal.addEventListener('abort', () => this.off(event, callback, ctx), {once: true});
+    }
+  }
+
+  /**
+   * Add a listener that's removed after it was called once
+   * @param {string} event
+   * @param {function} callback
+   * @param {object} ctx
+   * @param {object} opts
+   * @param {AbortSignal} opts.signal Removes the listener when it's aborted
+   */
+  once(event, callback, ctx, opts = {}) {
+    this.on(event, callback, ctx, Object.assign({}, opts, {once: true}));
   }
 
   /**
    * Removes the listener from the event
    * @param {string} event
    * @param {function} callback
+   * @param {object} ctx The context the listener was added with, if any
    */
-  off(event, callback) {
-    const listenerIndex = this.listeners(event).findIndex(listener => listener.callback !== callback);
+  off(event, callback, ctx) {
+    const listenerIndex = this.listeners(event).findIndex(listener => listener.callback === callback && (ctx === undefined || listener.ctx === ctx));
     if (listenerIndex > -1) {
       this._listeners[event].splice(listenerIndex, 1);
       this.console.debug(`EventEmitter: Removing listener ${callback} from event ${event}`);
@@ -70,8 +418,17 @@ export default class LogTail {
    */
   emit(event, args=[]) {
     this.console.debug(`EventEmitter: emitting event ${event} with arguments ${args}`);
-    this.listeners(event).forEach(listener => {
+    /* A copy, since listeners may be removed while the event is emitted */
+    this.listeners(event).slice().forEach(listener => {
       this.console.debug(`EventEmitter: emit ${event} to ${listener}`);
+      if (listener.once) {
+        const listeners = this.listeners(event);
+        const index = listeners.indexOf(listener);
+        if (index < 0) {
+          return;
+        }
+        listeners.splice(index, 1);
+      }
       args = Array.isArray(args) ? args : [args];
       if (listener.ctx) {
         listener.callback.apply(listener.ctx, args);
@@ -89,6 +446,84 @@ export default class LogTail {
     return v;
   }
 
+  /**
+   * Sends a request with the fetch option, or the global fetch() if it's not set. The request options, the headers of
+   * which are merged with those of the request, and the hooks are applied. A request that's rejected with 401 or 403
+   * is sent once more if onAuthRequired() resolves to true
+   * @param {string} url
+   * @param {object} opts The options of fetch()
+   * @returns {Promise<Response>}
+   */
+  async request(url, opts = {}) {
+    let response = await this.sendRequest(url, opts);
+    if ((response.status === 401 || response.status === 403) && this.onAuthRequired) {
+      this.console.info(`${this.request.name}: server responded with ${response.status} for ${url}. Asking for authorization`);
+      if (await this.authorize(response)) {
+        response = await this.sendRequest(url, opts);
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Helper method for sending a single request with the request options and hooks
+   * @param {string} url
+   * @param {object} opts The options of fetch()
+   * @returns {Promise<Response>}
+   */
+  async sendRequest(url, opts) {
+    const fetchLog = this.fetch || fetch;
+    let init = Object.assign({}, this.requestOptions, opts, {
+      headers: Object.assign({}, headersToObject(this.requestOptions.headers), headersToObject(opts.headers)),
+    });
+    if (this.onRequest) {
+      init = (await this.onRequest(url, init)) || init;
+    }
+    init.signal = this.requestSignal(init.signal);
+    const started = Date.now();
+    const response = await fetchLog(url, init);
+    this._stats.request(init.method === 'HEAD' ? 'head' : 'range', Date.now() - started);
+    return this.onResponse ? (await this.onResponse(response, url, init)) || response : response;
+  }
+
+  /**
+   * Helper method for getting the signal that aborts the requests in flight when the tail is paused or stopped
+   * @param {AbortSignal} signal The signal of the request options, if any
+   * @returns {AbortSignal|undefined} A signal that's aborted when either of them is aborted. The signal of the request
+   * options if the platform can't combine signals
+   */
+  requestSignal(signal) {
+    if (typeof AbortController !== 'function') {
+      return signal;
+    }
+    if (!this._abortController) {
+      this._abortController = new AbortController();
+    }
+    if (!signal) {
+      return this._abortController.signal;
+    }
+    return typeof AbortSignal.any === 'function' ? AbortSignal.any([signal, this._abortController.signal]) : signal;
+  }
+
+  /**
+   * Helper method for calling onAuthRequired(). Requests that are rejected at the same time share a single call, so a
+   * token is only refreshed once
+   * @param {Response} response
+   * @returns {Promise<boolean>} True if the request should be sent again
+   */
+  authorize(response) {
+    if (!this._authorizing) {
+      this._authorizing = Promise.resolve(this.onAuthRequired(response)).then(retry => {
+        this._authorizing = null;
+        return !!retry;
+      }, e => {
+        this._authorizing = null;
+        throw e;
+      });
+    }
+    return this._authorizing;
+  }
+
   /**
    * Helper method for performing a HEAD request to get the total size of the log
    * @returns {Promise<number, Error>}
@@ -97,7 +532,7 @@ export default class LogTail {
     let response;
     this.console.info(`${this.requestLogSize.name}: sending HEAD request to ${this.url}`);
     try {
-      response = await fetch(this.url, {
+      response = await this.request(this.url, {
         method: 'HEAD'
       });
       this.console.debug(`${this.requestLogSize.name}: got response ${this.debug && JSON.stringify(await this.dumpResponse(response.clone()))}`);
@@ -120,220 +555,1899 @@ export default class LogTail {
     }
   }
 
+  /**
+   * Starts retrieving the log via the transport. Does nothing if it's already starting or running, so there's never
+   * more than one poll loop or connection. A paused tail only continues via resume(), and a stopped one continues
+   * where it stopped
+   * @throws {Error} If the tail was destroyed
+   */
+  start() {
+    this.assertNotDestroyed();
+    if (this.state === 'starting' || this.state === 'running') {
+      this.console.debug(`${this.start.name}: already tailing log ${this.url}`);
+      return;
+    } else if (this.state === 'paused') {
+      this.console.info(`${this.start.name}: the tail is paused. Call resume() to continue tailing log ${this.url}`);
+      return;
+    }
+    this.transition('starting');
+    this.scheduleStats();
+    this.transport.start();
+  }
+
+  /**
+   * Stops retrieving the log and aborts the requests in flight. Call start() to continue where it stopped
+   */
+  stop() {
+    if (this.state === 'stopped') {
+      return;
+    }
+    this.halt();
+    this.transition('stopped');
+  }
+
+  /**
+   * Pauses retrieving the log until resume() is called. Requests in flight are aborted, and data that was received
+   * anyway is still emitted
+   */
+  pause() {
+    if (this.state === 'paused' || this.state === 'stopped') {
+      return;
+    }
+    this.halt();
+    this.transition('paused');
+  }
+
+  /**
+   * Continues retrieving the log after pause(), starting with the data that was appended in the meantime
+   * @throws {Error} If the tail was destroyed
+   */
+  resume() {
+    this.assertNotDestroyed();
+    if (this.state !== 'paused') {
+      return;
+    }
+    this.transition('starting');
+    this.scheduleStats();
+    this.transport.start();
+  }
+
+  /**
+   * Stops the tail for good and removes all listeners and timers. The tail can't be started again
+   */
+  destroy() {
+    if (this._destroyed) {
+      return;
+    }
+    this.stop();
+    clearTimeout(this._lineFlushTimer);
+    this._destroyed = true;
+    this._listeners = {};
+  }
+
+  /**
+   * Alias of start(), after tail -f
+   */
   f() {
-    this.poll();
+    this.start();
+  }
+
+  /**
+   * Creates a ReadableStream of the data that's appended to the log, starting the tail if it's idle. While the queue of
+   * the stream is full, the tail is paused, so a slow consumer pauses polling instead of piling up data. The stream is
+   * closed when the tail is stopped and errored when it gives up. Cancelling the stream doesn't stop the tail
+   * @example
+   * <code>
+   *   await tail.readable({lines: true})
+   *     .pipeThrough(new TransformStream({transform: (line, controller) => controller.enqueue(line.text.toUpperCase())}))
+   *     .pipeTo(sink);
+   * </code>
+   * @param {object} opts
+   * @param {boolean} opts.lines Set to true to read the lines, as emitted via LinesAppendedEvent, instead of the data.
+   * This turns on line mode
+   * @param {number} opts.highWaterMark The number of chunks or lines that are queued before the tail is paused.
+   * Defaults to 16
+   * @returns {ReadableStream<string|object>}
+   * @throws {Error} If the tail was destroyed or the platform has no ReadableStream
+   */
+  readable(opts = {}) {
+    this.assertNotDestroyed();
+    if (typeof ReadableStream !== 'function') {
+      throw new Error('ReadableStream is not supported on this platform');
+    }
+    const highWaterMark = opts.highWaterMark || 16;
+    const subscription = new AbortController();
+    const listen = (event, callback) => this.on(event, callback, undefined, {signal: subscription.signal});
+    let pausedByStream = false;
+    return new ReadableStream({
+      start: controller => {
+        const enqueue = chunk => {
+          controller.enqueue(chunk);
+          if (controller.desiredSize <= 0 && (this.state === 'starting' || this.state === 'running')) {
+            this.console.debug(`${this.readable.name}: the stream of ${this.url} is full. Pausing`);
+            pausedByStream = true;
+            this.pause();
+          }
+        };
+        if (opts.lines) {
+          this.lineMode = true;
+          listen(LinesAppendedEvent.name, evt => evt.detail.forEach(enqueue));
+        } else {
+          listen(DataAppendedEvent.name, evt => enqueue(evt.detail));
+        }
+        listen(GaveUpEvent.name, evt => {
+          subscription.abort();
+          controller.error(evt.detail.error);
+        });
+        listen(StateChangeEvent.name, evt => {
+          if (evt.detail.state === 'stopped') {
+            subscription.abort();
+            controller.close();
+          }
+        });
+        if (this.state === 'idle') {
+          this.start();
+        }
+      },
+      pull: () => {
+        if (pausedByStream) {
+          pausedByStream = false;
+          this.console.debug(`${this.readable.name}: the stream of ${this.url} was drained. Resuming`);
+          this.resume();
+        }
+      },
+      cancel: () => {
+        subscription.abort();
+        if (pausedByStream) {
+          this.resume();
+        }
+      },
+    }, new CountQueuingStrategy({highWaterMark}));
+  }
+
+  /**
+   * Creates an async iterator of the data that's appended to the log. See readable() for the options and backpressure
+   * @example
+   * <code>
+   *   for await (const chunk of tail) {
+   *     process.stdout.write(chunk);
+   *   }
+   * </code>
+   * @param {object} opts See readable()
+   * @returns {AsyncIterator<string|object>}
+   */
+  iterate(opts = {}) {
+    const reader = this.readable(opts).getReader();
+    return {
+      next: () => reader.read(),
+      return: async value => {
+        await reader.cancel();
+        return {done: true, value};
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * @returns {AsyncIterator<string>} An async iterator of the data that's appended to the log. See iterate()
+   */
+  [Symbol.asyncIterator]() {
+    return this.iterate();
+  }
+
+  /**
+   * Helper method for stopping the poll loop, the transport and the requests in flight. The poll in flight, if any,
+   * won't schedule another one
+   */
+  halt() {
+    this.stopPolling();
+    clearInterval(this._statsTimer);
+    this._statsTimer = null;
+    if (this._abortController) {
+      this._abortController.abort();
+      this._abortController = null;
+    }
+    if (this._transport) {
+      this._transport.stop();
+    }
+    if (this._onVisibilityChange) {
+      document.removeEventListener('visibilitychange', this._onVisibilityChange);
+      this._onVisibilityChange = null;
+    }
+  }
+
+  /**
+   * @returns {object} A snapshot of the statistics of the tail: its 'state', the 'fileSize', how many bytes it's behind
+   * ('lagBytes'), and the totals, rates, request latencies, errors and levels of TailStats#snapshot(). Rates,
+   * latencies and levels are computed over the last statsWindow milliseconds
+   */
+  stats() {
+    const fileSize = this._logFileSize === undefined ? null : this._logFileSize;
+    const decoded = this._decodedOffset === undefined ? null : this._decodedOffset;
+    return Object.assign({
+      url: this.url,
+      state: this.state,
+      fileSize,
+      lagBytes: fileSize === null || decoded === null ? null : Math.max(0, fileSize - decoded),
+    }, this._stats.snapshot());
+  }
+
+  /**
+   * Helper method for emitting StatsEvent every statsInterval while the tail runs
+   */
+  scheduleStats() {
+    clearInterval(this._statsTimer);
+    this._statsTimer = null;
+    if (this.statsInterval > 0) {
+      this._statsTimer = setInterval(() => this.emit(StatsEvent.name, new StatsEvent(this.stats())), this.statsInterval);
+    }
+  }
+
+  /**
+   * Stops the poll loop. The poll in flight, if any, won't schedule another one
+   */
+  stopPolling() {
+    this._session++;
+    this._loading = false;
+    clearTimeout(this._timeout);
+    this._timeout = null;
+  }
+
+  /**
+   * Helper method for changing the state and emitting StateChangeEvent
+   * @param {string} state
+   */
+  transition(state) {
+    const previous = this._state;
+    if (state === previous) {
+      return;
+    }
+    this.console.info(`${this.transition.name}: ${previous} -> ${state} for log ${this.url}`);
+    this._state = state;
+    this.emit(StateChangeEvent.name, new StateChangeEvent(state, previous));
+  }
+
+  /**
+   * @throws {Error} If the tail was destroyed
+   */
+  assertNotDestroyed() {
+    if (this._destroyed) {
+      throw new Error(`The tail of ${this.url} was destroyed`);
+    }
   }
 
   /**
    * Continuously polls for new log data. It'll emit events as data is recieved or if errors occur
    */
   async poll() {
+    let delay = this.pollInterval;
+    const session = this._session;
     try {
       if (this.paused || this.loading) {
-        this.console.info(`${this.poll.name}: poller is paused (this.pause: ${this.pause}, this.loading: ${this.loading}). Not tailing log ${this.url}`);
+        this.console.info(`${this.poll.name}: poller is ${this.state} (this.loading: ${this.loading}). Not tailing log ${this.url}`);
+        return;
+      }
+      if (this.pauseWhenHidden && typeof document !== 'undefined' && document.hidden) {
+        this.console.info(`${this.poll.name}: page is hidden. Not tailing log ${this.url} until it's visible`);
+        this.waitForVisibility();
         return;
       }
       this.console.info(`${this.poll.name}: tailing log ${this.url}`);
       this._loading = true;
       const data = await this.getLog();
-      this._loading = false;
       this.console.debug(`${this.poll.name}: got log content '${data}'`);
+      if (session === this._session) {
+        this._loading = false;
+        this.streamConnected();
+        this.adaptPollInterval(data.length > 0);
+        this._stats.poll(data.length > 0);
+      }
+      delay = this.pollInterval;
       if (data.length > 0) {
-        this.emit(DataAppendedEvent.name, new DataAppendedEvent(data));
+        this.emitData(data, this._appendedOffset);
+        this.evict();
+        this.savePosition();
       } else {
         this.console.debug(`${this.poll.name}: not emitting event since no new data was retrieved from the server`);
       }
     } catch (e) {
-      this.emit(e.constructor.name, e);
-      this.emit('error', e);
+      if (session !== this._session) {
+        this.console.info(`${this.poll.name}: ignoring the error of a poll that was stopped`, e);
+        return;
+      }
+      this._loading = false;
+      delay = this.streamFailed(e);
+      if (delay === null) {
+        return;
+      }
+    }
+
+    if (session !== this._session) {
+      return;
     }
+    clearTimeout(this._timeout);
+    this._timeout = setTimeout(this.poll.bind(this), delay);
+  }
 
-    this._timeout = setTimeout(this.poll.bind(this), this.pollInterval);
+  /**
+   * Retrieves the data that was appended since the last request and emits it, once. Unlike poll(), errors are thrown
+   * instead of emitted and no other poll is scheduled
+   * @returns {Promise<string,Error>} The data that was appended
+   */
+  async update() {
+    const data = await this.getLog();
+    this.streamConnected();
+    if (data.length > 0) {
+      this.emitData(data, this._appendedOffset);
+      this.evict();
+      this.savePosition();
+    }
+    return data;
   }
 
   /**
-   * Helper method for determining the content of the Range header that'll be sent to the server. This method
-   * also sets up some required, internal flags
+   * Emits ReconnectedEvent if the data is retrieved again after failed attempts. Called by the transport each time
+   * it succeeds
    */
-  async getRange() {
-    let range;
-    if (!this.logFileSize) {
-      this.console.debug(`${this.getLog.name}: no file size yet, meaning it's the first request. Getting the current size of the log`);
-      this._logFileSize = await this.requestLogSize();
-      /* Get the last 'load' bytes */
-      range = '-' + (this.loadBytes > this.logFileSize ? this.logFileSize.toString() : this.loadBytes.toString());
-      this._firstLoad = true;
-      this._mustGet206 = false;
+  streamConnected() {
+    this._stats.contact();
+    if (!this.paused) {
+      this.transition('running');
+    }
+    if (this._retryAttempts) {
+      this.console.info(`${this.streamConnected.name}: reconnected to ${this.url} after ${this._retryAttempts} attempts`);
+      this.emit(ReconnectedEvent.name, new ReconnectedEvent(this._retryAttempts));
+      this._retryAttempts = 0;
+    }
+  }
+
+  /**
+   * Emits the error of a transport and applies the retry policy to it
+   * @param {Error} error
+   * @returns {number|null} The number of milliseconds to wait before the next attempt, or null to give up
+   */
+  streamFailed(error) {
+    this._stats.error(error);
+    this.emit(error.constructor.name, error);
+    this.emit('error', error);
+    return this.retry ? this.nextRetryDelay(error) : this.pollInterval;
+  }
+
+  /**
+   * Emits a FetchError for a streaming transport that lost its connection and applies the retry policy to it
+   * @param {*} cause The error or event that describes why the connection was lost
+   * @returns {number|null} The number of milliseconds to wait before reconnecting, or null to give up
+   */
+  connectionLost(cause) {
+    return this.streamFailed(new FetchError(`Lost the connection to ${this.streamUrl || this.url}`, cause));
+  }
+
+  /**
+   * Handles bytes that were pushed by a streaming transport. The first bytes after connecting, or after the file was
+   * replaced, are handled like the first load
+   * @param {Uint8Array} data
+   * @param {number} byteOffset The offset, in bytes, of the data within the log file
+   * @param {number} size The size of the log file after the data was appended
+   * @returns {string} The data that was appended
+   */
+  receiveBytes(data, byteOffset, size) {
+    this._logFileSize = size;
+    let bytes = data;
+    if (this._decoder) {
+      this._appendedOffset = this._decodedOffset;
     } else {
-      /* Get the (this.logFileSize - 1)th byte, onwards. */
-      /* The "this.logFileSize - 1" deliberately reloads the last byte, which we already
-       * have. This is to prevent a 416 "Range unsatisfiable" error: a response
-       * of length 1 tells us that the file hasn't changed yet. A 416 shows that
-       * the file has been trucnated */
-      range = (this.logFileSize - 1).toString() + '-';
-      this._firstLoad = false;
-      this._mustGet206 = this.logFileSize > 1;
+      bytes = this.startDecoding(data, byteOffset);
     }
 
-    return range;
+    const newContent = this.decodeBytes(bytes);
+    if (newContent.length > 0) {
+      this.emitData(newContent, this._appendedOffset);
+      this.evict();
+    }
+    return newContent;
   }
 
   /**
-   * Helper method for sending the range request to the server
-   * @param {string} range The range to request from the server. Defaults to the entire file
-   * @returns {Promise<string,FetchError|MissingHeaderError|Non206ResponseError|FileTruncatedError|UnexpectedServerResponseError>}
+   * Handles data that was retrieved and decoded by another tail of the same log, e.g. the leader of a SharedTransport.
+   * The part of the text that was already received is skipped
+   * @param {string} text
+   * @param {number} byteOffset The offset, in bytes, of the text within the log file
+   * @returns {string|null} The data that was appended. Null if data before the text is missing
    */
-  async sendRangeRequest(range='0-') {
-    let response;
-    try {
-      response = await fetch(this.url, {
-        headers: {
-          Range: `bytes=${range}`,
-          'Cache-Control': 'no-cache',
-        },
-      });
-    } catch (e) {
-      throw new FetchError(`Failed to fetch log ${this.url} due to a network error`, e);
+  receiveText(text, byteOffset) {
+    let bytes = new TextEncoder().encode(text);
+    if (this._decodedOffset === undefined) {
+      this._earliestOffset = byteOffset;
+    } else if (byteOffset > this._decodedOffset) {
+      return null;
+    } else if (byteOffset < this._decodedOffset) {
+      bytes = bytes.subarray(Math.min(this._decodedOffset - byteOffset, bytes.length));
+      text = new TextDecoder().decode(bytes);
+      byteOffset = this._decodedOffset;
     }
 
-    this.console.debug(`${this.sendRangeRequest.name}: got response from server ${this.debug && JSON.stringify(await this.dumpResponse(response.clone()))}`);
-    const xhr = response.clone();
-    let contentSize;
+    /* The tail continues where the text ends if it retrieves the log itself */
+    this._appendedOffset = byteOffset;
+    this._decodedOffset = this._logFileSize = byteOffset + bytes.length;
+    this._lastByte = bytes.length > 0 ? bytes[bytes.length - 1] : this._lastByte;
+    if (text.length > 0) {
+      this._logData = (this._logData || '') + text;
+      this.emitData(text, byteOffset);
+      this.evict();
+    }
+    return text;
+  }
 
-    if (xhr.status === 206) {
-      const c_r = xhr.headers.get('Content-Range');
-      if (!c_r) {
-        const actualHeaders = [];
-        for (const headerName of xhr.headers.keys()) {
-          actualHeaders.push({
-            name: headerName,
-            value: xhr.headers.get(headerName),
-          });
+  /**
+   * Handles the notice of a streaming transport that the log file was truncated or replaced. The bytes that follow
+   * are handled like the first load
+   * @param {boolean} rotated True if the file was replaced, false if it was truncated
+   * @param {number} oldSize The size, in bytes, of the file before it changed
+   * @param {number} newSize The size, in bytes, of the file after it changed
+   * @throws {LogFileTruncatedError|LogFileRotatedError} If followRotation is off
+   */
+  receiveReset(rotated, oldSize, newSize) {
+    if (!this.followRotation) {
+      const ErrorClass = rotated ? LogFileRotatedError : LogFileTruncatedError;
+      throw new ErrorClass(`The file ${this.url} seems to have been ${rotated ? 'replaced' : 'truncated'}`, oldSize, newSize);
+    }
+    this.console.info(`${this.receiveReset.name}: re-syncing with ${this.url} after it was ${rotated ? 'replaced' : 'truncated'}`);
+    if (this.lineMode) {
+      this.flushLines();
+    }
+    this.resetDecoding();
+    const Event = rotated ? RotatedEvent : TruncatedEvent;
+    this.emit(Event.name, new Event(oldSize, newSize));
+  }
+
+  /**
+   * Applies the retry policy to an error of a failed poll. It emits ReconnectingEvent if the poll will be retried and
+   * GaveUpEvent if it won't
+   * @param {Error} error
+   * @returns {number|null} The number of milliseconds to wait before the next attempt, or null to give up
+   */
+  nextRetryDelay(error) {
+    const attempts = this._retryAttempts || 0;
+    if (!this.isRetryable(error) || attempts >= this.retry.maxAttempts) {
+      this.console.warn(`${this.nextRetryDelay.name}: giving up on ${this.url} after ${attempts} retries`, error);
+      this._retryAttempts = 0;
+      this.transition('errored');
+      this.emit(GaveUpEvent.name, new GaveUpEvent(error, attempts));
+      return null;
+    }
+
+    this._retryAttempts = attempts + 1;
+    const {initialDelay, maxDelay, factor, jitter} = this.retry;
+    const base = (initialDelay || this.pollInterval) * Math.pow(factor, attempts);
+    const delay = Math.round(Math.min(maxDelay, base * (1 + jitter * Math.random())));
+    this.console.info(`${this.nextRetryDelay.name}: retrying ${this.url} in ${delay}ms (attempt ${this._retryAttempts})`);
+    this.emit(ReconnectingEvent.name, new ReconnectingEvent(error, this._retryAttempts, delay));
+    return delay;
+  }
+
+  /**
+   * Classifies an error according to the retry policy. Errors with a status code are only retryable if the status
+   * code is, regardless of their class. Requests that were aborted, e.g. via the signal of the request options, are
+   * never retried
+   * @param {Error} error
+   * @returns {boolean} True if the failed poll should be retried
+   */
+  isRetryable(error) {
+    const fatal = this.retry.fatalErrors.some(fatalError => typeof fatalError === 'function' ?
+      error instanceof fatalError :
+      errorClassNames(error).includes(fatalError));
+    if (fatal || (error.error && error.error.name === 'AbortError')) {
+      return false;
+    }
+    return typeof error.status === 'number' ? this.retry.retryableStatuses.includes(error.status) : true;
+  }
+
+  /**
+   * Helper method for resuming the poll as soon as the page becomes visible again
+   */
+  waitForVisibility() {
+    if (this._onVisibilityChange) {
+      return;
+    }
+    const onVisibilityChange = this._onVisibilityChange = () => {
+      if (document.hidden) {
+        return;
+      }
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      this._onVisibilityChange = null;
+      this.console.info(`${this.waitForVisibility.name}: page is visible again. Catching up with log ${this.url}`);
+      this.adaptPollInterval(true);
+      this.poll();
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+  }
+
+  /**
+   * In adaptive mode, resets the poll interval to the minimum when new data was retrieved and increases it towards the
+   * maximum when it wasn't
+   * @param {boolean} active True if the last poll retrieved new data
+   */
+  adaptPollInterval(active) {
+    const adaptive = this.adaptivePolling;
+    if (!adaptive) {
+      return;
+    }
+    this._currentPollInterval = active ?
+      adaptive.min :
+      Math.min(adaptive.max, Math.max(adaptive.min, Math.round(this.pollInterval * adaptive.factor)));
+  }
+
+  /**
+   * Emits the data that was appended to the log via DataAppendedEvent and, in line mode, LinesAppendedEvent
+   * @param {string} data
+   * @param {number} byteOffset The offset, in bytes, of the data within the log file
+   */
+  emitData(data, byteOffset) {
+    this.transport.emitted(data, byteOffset);
+    this._stats.data(byteLength(data));
+    /* With filters, the data is emitted line by line once it's known which lines match */
+    if (this.filters.length === 0) {
+      this.emit(DataAppendedEvent.name, new DataAppendedEvent(data));
+    }
+    if (this.lineMode) {
+      this.bufferLines(data, byteOffset);
+    }
+  }
+
+  /**
+   * Helper method for determining the content of the Range header that'll be sent to the server. This method
+   * also sets up some required, internal flags
+   */
+  async getRange() {
+    let range;
+    if (!this.logFileSize) {
+      this.console.debug(`${this.getLog.name}: no file size yet, meaning it's the first request. Getting the current size of the log`);
+      this._logFileSize = await this.requestLogSize();
+      /* Get the last 'load' bytes */
+      range = '-' + Math.min(this.loadBytes, this._logFileSize).toString();
+      this._firstLoad = true;
+      this._mustGet206 = false;
+    } else {
+      /* Get the (this.logFileSize - 1)th byte, onwards. */
+      /* The "this.logFileSize - 1" deliberately reloads the last byte, which we already
+       * have. This is to prevent a 416 "Range unsatisfiable" error: a response
+       * of length 1 tells us that the file hasn't changed yet. A 416 shows that
+       * the file has been trucnated */
+      range = (this.logFileSize - 1).toString() + '-';
+      this._firstLoad = false;
+      this._mustGet206 = this.logFileSize > 1;
+    }
+
+    return range;
+  }
+
+  /**
+   * Helper method for sending the range request to the server. The body is returned as raw bytes so the offsets
+   * stay exact regardless of the encoding of the log
+   * @param {string} range The range to request from the server. Defaults to the entire file
+   * @returns {Promise<Uint8Array,FetchError|MissingHeaderError|Non206ResponseError|FileTruncatedError|UnexpectedServerResponseError>}
+   */
+  async sendRangeRequest(range='0-') {
+    let response;
+    try {
+      response = await this.request(this.url, {
+        headers: {
+          Range: `bytes=${range}`,
+          'Cache-Control': 'no-cache',
+        },
+      });
+    } catch (e) {
+      throw new FetchError(`Failed to fetch log ${this.url} due to a network error`, e);
+    }
+
+    this.console.debug(`${this.sendRangeRequest.name}: got response from server ${this.debug && JSON.stringify(await this.dumpResponse(response.clone()))}`);
+    const xhr = response.clone();
+    let total;
+
+    if (xhr.status === 206) {
+      const c_r = xhr.headers.get('Content-Range');
+      if (!c_r) {
+        const actualHeaders = [];
+        for (const headerName of xhr.headers.keys()) {
+          actualHeaders.push({
+            name: headerName,
+            value: xhr.headers.get(headerName),
+          });
         }
         throw new MissingHeaderError('Missing content-range header', 'content-range', actualHeaders);
       }
 
-      this._logFileSize = this.parseInt2(c_r.split('/')[1]);
-      contentSize = this.parseInt2(xhr.headers.get('Content-Length'));
+      total = this.parseInt2(c_r.split('/')[1]);
     } else if (xhr.status === 200) {
       if (this._mustGet206) {
         throw new Non206ResponseError('Got non-206 response from server', xhr.status, xhr.statusText);
       }
 
-      contentSize = this.parseInt2(xhr.headers.get('Content-Length'));
-      this._logFileSize = contentSize;
-    } else if (xhr.status === 416) {
-      // the log file changed unexpectedly!
-      throw new LogFileTruncatedError(`The file ${this.url} seems to have been truncated from ${this._logFileSize} bytes to ${xhr.headers.get('content-range').split(/\//)[1]}`);
-    } else if (xhr.status === 404) {
-      throw new ResourceNotFoundError(this.url);
+      total = this.parseInt2(xhr.headers.get('Content-Length'));
+    } else if (xhr.status === 416) {
+      // the log file changed unexpectedly!
+      const c_r = xhr.headers.get('Content-Range');
+      const newSize = c_r && /\/[0-9]+$/.test(c_r) ? this.parseInt2(c_r.split('/')[1]) : null;
+      throw new LogFileTruncatedError(`The file ${this.url} seems to have been truncated from ${this._logFileSize} bytes to ${newSize}`, this._logFileSize, newSize);
+    } else if (xhr.status === 404) {
+      throw new ResourceNotFoundError(this.url);
+    } else {
+      throw new UnexpectedServerResponseError(`Server responded with an unexpected code. Expected 200 or 206 but got ${xhr.status}`, xhr.status, xhr.statusText);
+    }
+
+    this.checkIdentity(xhr, total);
+    this._logFileSize = total;
+    return new Uint8Array(await xhr.arrayBuffer());
+  }
+
+  /**
+   * Helper method for detecting that the log file was truncated or replaced since the last response. The first
+   * response for a file only records its identity
+   * @param {Response} response
+   * @param {number} total The total size of the file according to the response
+   * @throws {LogFileTruncatedError|LogFileRotatedError}
+   */
+  checkIdentity(response, total) {
+    const identity = {};
+    this.identityHeaders.forEach(header => identity[header] = response.headers.get(header));
+    const previous = this._identity;
+    this._identity = identity;
+    if (this._firstLoad || !previous) {
+      return;
+    }
+
+    if (total < this._logFileSize) {
+      throw new LogFileTruncatedError(`The file ${this.url} seems to have been truncated from ${this._logFileSize} bytes to ${total}`, this._logFileSize, total);
+    }
+
+    const changed = this.identityHeaders.find(header => previous[header] && identity[header] && previous[header] !== identity[header]);
+    if (changed) {
+      throw new LogFileRotatedError(`The file ${this.url} seems to have been replaced. Header ${changed} changed from ${previous[changed]} to ${identity[changed]}`, this._logFileSize, total);
+    }
+  }
+
+  /**
+   * Starts polling for the end of the file. New content is emitted after the initial 30kb are provided. The bytes are
+   * decoded as a UTF-8 stream, so a character that's split across two responses is held back until it's complete
+   * @returns {Promise<string,Error>}
+   */
+  async getLog() {
+    if (!this.logFileSize && this.persistence && !this._restored) {
+      const saved = await this.persistence.load(this.url);
+      this._restored = true;
+      if (saved && Number.isInteger(saved.offset)) {
+        const data = await this.catchUp(saved);
+        if (data !== null) {
+          return data;
+        }
+      }
+    }
+
+    const range = await this.getRange();
+    if (this._logFileSize === 0) {
+      this.console.debug(`${this.getLog.name}: the log ${this.url} is empty. Not sending a range request`);
+      return '';
+    }
+
+    this.console.debug(`${this.getLog.name}: using range ${range} for the request to tail ${this.url}`);
+    const previousSize = this._logFileSize;
+    let data;
+    try {
+      data = await this.sendRangeRequest(range);
+      /* The first byte is the last one we already have. If it's different, the file was replaced */
+      if (!this._firstLoad && this._lastByte !== undefined && data.length > 0 && data[0] !== this._lastByte) {
+        throw new LogFileRotatedError(`The file ${this.url} seems to have been replaced. The content at byte ${previousSize - 1} has changed`, previousSize, this.logFileSize);
+      }
+    } catch (e) {
+      if (this.followRotation && !this._resyncing && (e instanceof LogFileTruncatedError || e instanceof LogFileRotatedError)) {
+        return this.resync(e);
+      }
+      throw e;
+    }
+
+    this._lastByte = data.length > 0 ? data[data.length - 1] : this._lastByte;
+    this.console.debug(`Found ${data.length} new bytes for file ${this.url} with new size ${this.logFileSize}`);
+    if (this._firstLoad && data.length > this.loadBytes) {
+      const text = new TextDecoder().decode(data);
+      throw new ServerResponseTooLongError(`Server response is too long. Expected ${this.loadBytes} bytes but got ${data.length}`, data.length, text);
+    }
+
+    let bytes;
+    if (this._firstLoad) {
+      bytes = this.startDecoding(data, this.logFileSize - data.length);
+    } else {
+      /* Drop the first byte (see above) */
+      bytes = data.subarray(1);
+      this._appendedOffset = this._decodedOffset === undefined ? this.logFileSize - bytes.length : this._decodedOffset;
+    }
+    return this.decodeBytes(bytes);
+  }
+
+  /**
+   * Loads the data that was appended since the position that was saved by a previous tail for the same URL and emits
+   * CatchUpEvent. At most maxCatchUpBytes are loaded, starting at a line boundary if bytes are skipped. If the file was
+   * truncated or replaced in the meantime, the position is dropped and the log is loaded like it's the first request
+   * @param {object} saved The record that was saved by savePosition()
+   * @returns {Promise<string|null,Error>} The data, or null to load the log like it's the first request
+   */
+  async catchUp(saved) {
+    let size;
+    try {
+      size = await this.requestLogSize();
+      const skippedBytes = Math.max(size - saved.offset - this.maxCatchUpBytes, 0);
+      this.console.info(`${this.catchUp.name}: catching up with ${this.url} from byte ${saved.offset} of ${size}`);
+      if (saved.offset > size) {
+        throw new LogFileTruncatedError(`The file ${this.url} was truncated from ${saved.offset} bytes to ${size}`, saved.offset, size);
+      }
+      let data = new Uint8Array(0);
+      if (saved.offset > 0) {
+        /* The last byte that was retrieved before, followed by the missed bytes unless some are skipped */
+        this._logFileSize = saved.offset;
+        this._identity = saved.identity || null;
+        this._firstLoad = false;
+        this._mustGet206 = true;
+        data = await this.sendRangeRequest(`${saved.offset - 1}-${skippedBytes > 0 ? saved.offset - 1 : ''}`);
+        if (typeof saved.lastByte === 'number' && data[0] !== saved.lastByte) {
+          throw new LogFileRotatedError(`The file ${this.url} seems to have been replaced. The content at byte ${saved.offset - 1} has changed`, saved.offset, size);
+        }
+      }
+
+      let bytes;
+      if (skippedBytes > 0 || saved.offset === 0) {
+        const start = saved.offset + skippedBytes;
+        this._firstLoad = true;
+        this._mustGet206 = start > 0;
+        data = start < size ? await this.sendRangeRequest(`${start}-`) : new Uint8Array(0);
+        this._logFileSize = start + data.length;
+        bytes = this.startDecoding(data, start);
+      } else {
+        this._decoder = new TextDecoder('utf-8');
+        this._appendedOffset = this._earliestOffset = saved.offset;
+        bytes = data.subarray(1);
+      }
+      this._lastByte = data.length > 0 ? data[data.length - 1] : undefined;
+      const text = this.decodeBytes(bytes);
+      this.emit(CatchUpEvent.name, new CatchUpEvent(saved.offset, this._logFileSize, skippedBytes, false));
+      return text;
+    } catch (e) {
+      this.resetDecoding();
+      if (e instanceof LogFileTruncatedError) {
+        this.console.info(`${this.catchUp.name}: not catching up since ${e.message}`);
+        this.emit(CatchUpEvent.name, new CatchUpEvent(saved.offset, size, null, true));
+        return null;
+      }
+      /* Try again with the next attempt */
+      this._restored = false;
+      throw e;
+    }
+  }
+
+  /**
+   * Saves the position after the data that was emitted so far via the persistence adapter, if any. In line mode, a
+   * partial line that's held back is loaded again when catching up
+   */
+  savePosition() {
+    if (!this.persistence || this._decodedOffset === undefined) {
+      return;
+    }
+    let offset = this._decodedOffset;
+    let lastByte = offset === this._logFileSize ? this._lastByte : null;
+    if (this.lineMode && (this._partialLine || this._pendingEntry)) {
+      offset = this._pendingEntry ? this._pendingEntry.byteOffset : this._partialLineOffset;
+      lastByte = offset > 0 ? 0x0A : null;
+    }
+    const record = {offset, lastByte, identity: this._identity, savedAt: Date.now()};
+    Promise.resolve()
+      .then(() => this.persistence.save(this.url, record))
+      .catch(e => this.console.warn(`${this.savePosition.name}: failed to save the position in ${this.url}`, e));
+  }
+
+  /**
+   * Helper method for starting to decode the log with the first data that was retrieved. A leading partial line is
+   * clipped unless the data starts at the beginning of the file
+   * @param {Uint8Array} data
+   * @param {number} byteOffset The offset, in bytes, of the data within the log file
+   * @returns {Uint8Array} The data without the partial line
+   */
+  startDecoding(data, byteOffset) {
+    let bytes = data;
+    this._decoder = new TextDecoder('utf-8');
+    if (byteOffset > 0) {
+      const start = data.indexOf(0x0A);
+      bytes = start > -1 ? data.subarray(start + 1) : data.subarray(leadingContinuationBytes(data));
+    }
+    this._appendedOffset = this._earliestOffset = byteOffset + data.length - bytes.length;
+    return bytes;
+  }
+
+  /**
+   * Helper method for decoding the bytes that were appended to the log and adding them to logData. A character that's
+   * split across two calls is held back until it's complete
+   * @param {Uint8Array} bytes The bytes that start at the offset where the previous bytes ended
+   * @returns {string}
+   */
+  decodeBytes(bytes) {
+    const newContent = (this._decoder || (this._decoder = new TextDecoder('utf-8'))).decode(bytes, {stream: true});
+    this._decodedOffset = this._appendedOffset + byteLength(newContent);
+    this._logData = (this._logData || '') + newContent;
+    return newContent;
+  }
+
+  /**
+   * Recovers from a truncated or replaced log file. The rest of the old file is emitted first if 'rotatedUrl' is
+   * set, followed by a TruncatedEvent or RotatedEvent. The new file is then loaded from its start
+   * @param {LogFileTruncatedError|LogFileRotatedError} error The error that was raised when the change was detected
+   * @returns {Promise<string,Error>} The content of the new file
+   */
+  async resync(error) {
+    const oldSize = error.oldSize;
+    this.console.info(`${this.resync.name}: re-syncing with ${this.url} after ${error.message}`);
+    if (this.rotatedUrl && oldSize) {
+      const oldTail = await this.fetchRotatedTail(oldSize);
+      if (oldTail.length > 0) {
+        this._logData = (this._logData || '') + oldTail;
+        this.emitData(oldTail, this._decodedOffset === undefined ? oldSize : this._decodedOffset);
+      }
+    }
+    if (this.lineMode) {
+      this.flushLines();
+    }
+
+    this.resetDecoding();
+    this._resyncing = true;
+    try {
+      const data = await this.loadNewFile();
+      const Event = error instanceof LogFileRotatedError ? RotatedEvent : TruncatedEvent;
+      this.emit(Event.name, new Event(oldSize, this._logFileSize || 0));
+      return data;
+    } finally {
+      this._resyncing = false;
+    }
+  }
+
+  /**
+   * Helper method for loading a file that replaced the one that was tailed from its start. If it's larger than
+   * maxCatchUpBytes, only its last maxCatchUpBytes are loaded, from the first line boundary on
+   * @returns {Promise<string,Error>} The content of the new file
+   */
+  async loadNewFile() {
+    const size = await this.requestLogSize();
+    const start = Math.max(size - this.maxCatchUpBytes, 0);
+    if (start > 0) {
+      this.console.info(`${this.loadNewFile.name}: the new file ${this.url} has ${size} bytes. Skipping the first ${start}`);
+    }
+    this._firstLoad = true;
+    this._mustGet206 = start > 0;
+    const data = start < size ? await this.sendRangeRequest(`${start}-`) : new Uint8Array(0);
+    this._logFileSize = start + data.length;
+    this._lastByte = data.length > 0 ? data[data.length - 1] : undefined;
+    return this.decodeBytes(this.startDecoding(data, start));
+  }
+
+  /**
+   * Helper method for forgetting the state of the old file after it was truncated or replaced. The data in logData is
+   * kept, but it no longer has byte offsets
+   */
+  resetDecoding() {
+    this._logFileSize = null;
+    this._decoder = null;
+    this._decodedOffset = undefined;
+    this._lastByte = undefined;
+    this._identity = null;
+    this._staleBytes = byteLength(this._logData || '');
+  }
+
+  /**
+   * Helper method for fetching the rest of the old file after it was rotated. Failures are logged and ignored since
+   * the rotated file may have been compressed or removed already
+   * @param {number} offset The offset, in bytes, from which to fetch the old file
+   * @returns {Promise<string>}
+   */
+  async fetchRotatedTail(offset) {
+    const url = typeof this.rotatedUrl === 'function' ? this.rotatedUrl(this.url) : this.rotatedUrl;
+    let text = '';
+    try {
+      /* Reload the last byte we have for the same reason as getRange() */
+      const bytes = await this.requestBytes(`${Math.max(offset - 1, 0)}-`, url);
+      text = (this._decoder || new TextDecoder('utf-8')).decode(offset > 0 ? bytes.subarray(1) : bytes);
+    } catch (e) {
+      this.console.warn(`${this.fetchRotatedTail.name}: failed to fetch rotated file ${url}. Skipping it`, e);
+    }
+    return text;
+  }
+
+  /**
+   * Helper method for fetching a range of bytes without touching the state of the tail, e.g. the size of the file
+   * @param {string} range The range to request from the server
+   * @param {string} url The URL of the file. Defaults to the URL of the log
+   * @returns {Promise<Uint8Array,FetchError|Non206ResponseError|ResourceNotFoundError>}
+   */
+  async requestBytes(range, url=this.url) {
+    let response;
+    try {
+      response = await this.request(url, {
+        headers: {
+          Range: `bytes=${range}`,
+          'Cache-Control': 'no-cache',
+        },
+      });
+    } catch (e) {
+      throw new FetchError(`Failed to fetch ${url} due to a network error`, e);
+    }
+
+    if (response.status === 404) {
+      throw new ResourceNotFoundError(url);
+    } else if (response.status !== 206) {
+      throw new Non206ResponseError(`Got non-206 response from server for range ${range}`, response.status, response.statusText);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+
+  /**
+   * Loads the part of the log right before the earliest data that has been retrieved so far and emits it via
+   * DataPrependedEvent. The data starts at a line boundary unless a single line is longer than the requested bytes
+   * @param {number} bytes The maximum number of bytes to load. Defaults to loadBytes
+   * @returns {Promise<string,Error>} The data that was prepended, empty if the start of the file was already reached
+   */
+  loadOlder(bytes=this.loadBytes) {
+    if (!Number.isInteger(bytes) || bytes <= 0) {
+      throw new TypeError(`Argument 'bytes' must be a positive integer, not ${bytes}`);
+    }
+    if (!this._loadingOlder) {
+      this._loadingOlder = this.prependOlder(bytes).then(data => {
+        this._loadingOlder = null;
+        return data;
+      }, e => {
+        this._loadingOlder = null;
+        throw e;
+      });
+    }
+    return this._loadingOlder;
+  }
+
+  /**
+   * Helper method for loadOlder() that does the actual work
+   * @param {number} bytes
+   * @returns {Promise<string,Error>}
+   */
+  async prependOlder(bytes) {
+    const end = this._earliestOffset;
+    if (end === undefined) {
+      this.console.debug(`${this.loadOlder.name}: nothing has been loaded from ${this.url} yet`);
+      return '';
+    } else if (end === 0) {
+      this.console.debug(`${this.loadOlder.name}: already at the start of ${this.url}`);
+      return '';
+    }
+
+    /* Also load the byte before the range, which tells us whether the range starts at a line boundary */
+    const start = Math.max(end - bytes - 1, 0);
+    const data = await this.requestBytes(`${start}-${end - 1}`);
+    let skip = 0;
+    if (start > 0) {
+      /* Clip leading part-line, as on the first load */
+      const newline = data.indexOf(0x0A);
+      skip = newline > -1 && newline < data.length - 1 ? newline + 1 : leadingContinuationBytes(data.subarray(1)) + 1;
+    }
+
+    if (end !== this._earliestOffset) {
+      /* The tail was re-synced with a new file in the meantime */
+      return '';
+    }
+    const prepended = new TextDecoder('utf-8').decode(data.subarray(skip));
+    this._earliestOffset = start + skip;
+    this._logData = prepended + (this._logData || '');
+    this.console.debug(`${this.loadOlder.name}: prepended ${data.length - skip} bytes from ${this._earliestOffset} of ${this.url}`);
+
+    let lines;
+    let records;
+    if (this.lineMode) {
+      const texts = prepended.replace(/\n$/, '').split('\n');
+      let offset = this._earliestOffset;
+      this._firstLineNumber = (this._firstLineNumber === undefined ? 1 : this._firstLineNumber) - texts.length;
+      lines = texts.map((text, i) => {
+        const line = {text: text.replace(/\r$/, ''), byteOffset: offset, lineNumber: this._firstLineNumber + i};
+        offset += byteLength(text) + 1;
+        return line;
+      });
+      records = this.parser ? lines.map(line => this.parseRecord(line)) : undefined;
+    }
+    this.emit(DataPrependedEvent.name, new DataPrependedEvent(prepended, this._earliestOffset, this.startReached, lines, records));
+    return prepended;
+  }
+
+  /**
+   * Trims whole lines from the front of logData until it's within maxBufferBytes and maxBufferLines and emits
+   * EvictedEvent with what was dropped. The earliestOffset moves past the dropped data, so it can be loaded again with
+   * loadOlder()
+   * @returns {string} The data that was dropped
+   */
+  evict() {
+    const logData = this._logData || '';
+    let end = 0;
+    if (this.maxBufferLines) {
+      const lines = logData.split('\n');
+      const excess = lines.length - (lines[lines.length - 1] ? 0 : 1) - this.maxBufferLines;
+      for (let i = 0; i < excess; i++) {
+        end += lines[i].length + 1;
+      }
+    }
+    if (this.maxBufferBytes) {
+      const bytes = new TextEncoder().encode(logData);
+      const excess = bytes.length - this.maxBufferBytes;
+      const droppedBytes = byteLength(logData.substring(0, end));
+      if (excess > droppedBytes) {
+        /* The last line is kept even if it's longer than the buffer on its own */
+        let newline = bytes.indexOf(0x0A, excess - 1);
+        newline = newline > -1 ? newline : bytes.lastIndexOf(0x0A);
+        end = newline > -1 ? new TextDecoder().decode(bytes.subarray(0, newline + 1)).length : end;
+      }
+    }
+    if (end === 0) {
+      return '';
+    }
+
+    const dropped = logData.substring(0, end);
+    const bytes = byteLength(dropped);
+    const lines = dropped.split('\n').length - 1;
+    const stale = Math.min(bytes, this._staleBytes || 0);
+    const byteOffset = stale > 0 ? null : this._earliestOffset;
+    this._staleBytes = (this._staleBytes || 0) - stale;
+    if (this._earliestOffset !== undefined) {
+      this._earliestOffset += bytes - stale;
+    }
+    this._logData = logData.substring(end);
+    this.console.debug(`${this.evict.name}: evicted ${lines} lines (${bytes} bytes) from the buffer of ${this.url}`);
+    this.emit(EvictedEvent.name, new EvictedEvent(dropped, byteOffset, bytes, lines));
+    return dropped;
+  }
+
+  /**
+   * Splits the data into complete lines and emits them via LinesAppendedEvent. A trailing partial line is held back
+   * until the rest of it arrives or until the line flush timeout expires. With multiline, the lines are grouped into
+   * entries, and the last entry is held back until the next one starts or until the line flush timeout expires
+   * @param {string} data The data that was appended to the log
+   * @param {number} byteOffset The offset, in bytes, of the data within the log file
+   * @returns {object[]} The lines, or entries, that were emitted
+   */
+  bufferLines(data, byteOffset) {
+    clearTimeout(this._lineFlushTimer);
+    let offset = byteOffset;
+    if (this._partialLine) {
+      data = this._partialLine + data;
+      offset = this._partialLineOffset;
+    }
+
+    const parts = data.split('\n');
+    const partial = parts.pop();
+    const lines = parts.map(text => {
+      const line = {
+        text: text.replace(/\r$/, ''),
+        byteOffset: offset,
+        lineNumber: this._lineCount = (this._lineCount || 0) + 1,
+      };
+      offset += byteLength(text) + 1;
+      return line;
+    });
+
+    this._partialLine = partial;
+    this._partialLineOffset = offset;
+    const entries = this._multilineTest ? this.groupEntries(lines, false) : lines;
+    if ((partial || this._pendingEntry) && this.lineFlushTimeout > 0) {
+      this.console.debug(`${this.bufferLines.name}: holding back partial line '${partial}' or entry for ${this.lineFlushTimeout}ms`);
+      this._lineFlushTimer = setTimeout(this.flushLines.bind(this), this.lineFlushTimeout);
+    }
+
+    if (entries.length > 0) {
+      this.emitLines(entries);
+    }
+    return entries;
+  }
+
+  /**
+   * Emits the partial line that's currently held back, if any, as a complete line, and with multiline the last entry
+   * @returns {object|null} The last line, or entry, that was emitted
+   */
+  flushLines() {
+    clearTimeout(this._lineFlushTimer);
+    const lines = [];
+    if (this._partialLine) {
+      lines.push({
+        text: this._partialLine.replace(/\r$/, ''),
+        byteOffset: this._partialLineOffset,
+        lineNumber: this._lineCount = (this._lineCount || 0) + 1,
+      });
+      this._partialLine = '';
+      this.console.debug(`${this.flushLines.name}: flushing partial line '${lines[0].text}'`);
+    }
+
+    const entries = this._multilineTest || this._pendingEntry ? this.groupEntries(lines, true) : lines;
+    if (entries.length === 0) {
+      return null;
+    }
+    this.emitLines(entries);
+    return entries[entries.length - 1];
+  }
+
+  /**
+   * Helper method for grouping lines into multi-line entries, continuing the entry that's held back
+   * @param {object[]} lines
+   * @param {boolean} flush Set to true to include the last entry instead of holding it back
+   * @returns {object[]} The complete entries
+   */
+  groupEntries(lines, flush) {
+    const grouped = groupLines(lines, this._multilineTest || (() => true), this._pendingEntry, this._pendingState);
+    this._pendingEntry = flush ? null : grouped.pending;
+    this._pendingState = flush ? {} : grouped.state;
+    return flush && grouped.pending ? grouped.entries.concat([grouped.pending]) : grouped.entries;
+  }
+
+  /**
+   * Emits complete lines via LinesAppendedEvent and, if a parser is set, their records via RecordsAppendedEvent. If
+   * filters are set, only the matching lines are emitted and they're emitted via DataAppendedEvent as well
+   * @param {object[]} lines
+   */
+  emitLines(lines) {
+    let records = this.parser ? lines.map(line => this.parseRecord(line)) : null;
+    this.checkAlerts(lines, records);
+    this.countLines(lines, records);
+    if (this.filters.length > 0) {
+      const matches = lines.map((line, i) => this.matchesFilters(line, records && records[i]));
+      lines = lines.filter((line, i) => matches[i]);
+      records = records && records.filter((record, i) => matches[i]);
+      if (lines.length === 0) {
+        return;
+      }
+      this.emit(DataAppendedEvent.name, new DataAppendedEvent(lines.map(line => `${line.text}\n`).join('')));
+    }
+
+    this.emit(LinesAppendedEvent.name, new LinesAppendedEvent(lines));
+    if (records) {
+      this.emit(RecordsAppendedEvent.name, new RecordsAppendedEvent(records));
+    }
+  }
+
+  /**
+   * Adds a filter that lines must match to be emitted. A line is emitted only if it matches all filters. The buffered
+   * logData isn't filtered, so FiltersChangedEvent is emitted with the buffered lines that match the new filters
+   * @param {string|RegExp|object|function} filter A substring, a regular expression, an object with the minimum
+   * 'level' of the record of the line (requires a parser) or a function that's called with the line and its record
+   * @returns {string|RegExp|object|function} The filter, for removeFilter()
+   */
+  addFilter(filter) {
+    this.filters = this.filters.concat([filter]);
+    return filter;
+  }
+
+  /**
+   * Removes a filter that was added via addFilter() or the 'filters' option
+   * @param {string|RegExp|object|function} filter
+   * @returns {boolean} True if the filter was removed
+   */
+  removeFilter(filter) {
+    const index = this.filters.indexOf(filter);
+    if (index === -1) {
+      return false;
+    }
+    this.filters = this.filters.filter((other, i) => i !== index);
+    return true;
+  }
+
+  /**
+   * Removes all filters
+   */
+  clearFilters() {
+    this.filters = [];
+  }
+
+  /**
+   * Helper method for counting the appended lines, and their levels, for stats()
+   * @param {object[]} lines
+   * @param {object[]|null} records The records of the lines, if a parser is set
+   */
+  countLines(lines, records) {
+    let levels = null;
+    if (records) {
+      levels = {};
+      records.filter(record => record.level).forEach(record => levels[record.level] = (levels[record.level] || 0) + 1);
+    }
+    this._stats.linesAppended(lines.length, levels);
+  }
+
+  /**
+   * Adds a rule that emits AlertEvent when lines match it. Alert rules see all lines, regardless of the filters
+   * @param {object} rule
+   * @param {string|RegExp|object|function} rule.match The lines that count, like a filter. See addFilter()
+   * @param {string} rule.name The name of the alert. Defaults to the match as a string
+   * @param {number} rule.count The number of matching lines within the window that fire the alert. Defaults to 1
+   * @param {number} rule.window The time, in milliseconds, in which the lines are counted. Defaults to 1 minute
+   * @param {number} rule.cooldown The time, in milliseconds, after an alert in which it doesn't fire again. Defaults
+   * to 0
+   * @param {boolean|function} rule.dedupe Set to true to count and cool down identical lines separately from others,
+   * or to a function that's called with the line and its record and returns the key by which they're told apart.
+   * Defaults to false
+   * @returns {object} The rule, for removeAlert()
+   */
+  addAlert(rule) {
+    this.alerts = this.alerts.concat([rule]);
+    return rule;
+  }
+
+  /**
+   * Removes an alert rule that was added via addAlert() or the 'alerts' option
+   * @param {object} rule
+   * @returns {boolean} True if the rule was removed
+   */
+  removeAlert(rule) {
+    const index = this.alerts.indexOf(rule);
+    if (index === -1) {
+      return false;
+    }
+    this.alerts = this.alerts.filter((other, i) => i !== index);
+    return true;
+  }
+
+  /**
+   * Removes all alert rules
+   */
+  clearAlerts() {
+    this.alerts = [];
+  }
+
+  /**
+   * Counts the lines that match each alert rule and emits AlertEvent for the rules that fire
+   * @param {object[]} lines
+   * @param {object[]|null} records The records of the lines, if a parser is set
+   */
+  checkAlerts(lines, records) {
+    const now = Date.now();
+    this._alertRules.forEach(alert => {
+      alert.states.forEach((state, key) => {
+        state.hits = state.hits.filter(hit => hit.at > now - alert.window);
+        if (state.hits.length === 0 && now - state.firedAt >= alert.cooldown) {
+          alert.states.delete(key);
+        }
+      });
+      lines.forEach((line, i) => {
+        const record = records ? records[i] : null;
+        if (!alert.test(line, record)) {
+          return;
+        }
+        const key = alert.key ? alert.key(line, record) : null;
+        const state = alert.states.get(key) || {hits: [], firedAt: -Infinity};
+        alert.states.set(key, state);
+        state.hits.push({line, record, at: now});
+        if (state.hits.length >= alert.count && now - state.firedAt >= alert.cooldown) {
+          this.console.info(`${this.checkAlerts.name}: ${alert.name} fired for log ${this.url}`);
+          state.firedAt = now;
+          const hits = state.hits;
+          state.hits = [];
+          this.emitAlert(alert, key, hits);
+        }
+      });
+    });
+  }
+
+  /**
+   * Helper method for emitting AlertEvent with the lines that fired the alert rule and their summary
+   * @param {object} alert
+   * @param {*} key
+   * @param {object[]} hits The 'line', 'record' and time ('at') of each matching line
+   */
+  emitAlert(alert, key, hits) {
+    const levels = {};
+    hits.forEach(hit => {
+      if (hit.record && hit.record.level) {
+        levels[hit.record.level] = (levels[hit.record.level] || 0) + 1;
+      }
+    });
+    const summary = {
+      count: hits.length,
+      window: alert.window,
+      since: new Date(hits[0].at),
+      until: new Date(hits[hits.length - 1].at),
+      levels,
+    };
+    const records = hits.some(hit => hit.record) ? hits.map(hit => hit.record) : null;
+    this.emit(AlertEvent.name, new AlertEvent(alert.rule, alert.name, key, hits.map(hit => hit.line), records, summary));
+  }
+
+  /**
+   * @param {object} line A line as emitted via LinesAppendedEvent
+   * @param {object} record The record of the line, if a parser is set
+   * @returns {boolean} True if the line matches all filters
+   */
+  matchesFilters(line, record) {
+    return this._filterTests.every(test => test(line, record || null));
+  }
+
+  /**
+   * Splits the buffered logData into lines, or with multiline into entries. A trailing partial line is included
+   * @returns {object[]} The 'text', 'byteOffset' and, in line mode, 'lineNumber' of each line. The 'byteOffset' is null
+   * for lines from before the log was rotated
+   */
+  bufferedLines() {
+    const lines = this.bufferedPhysicalLines();
+    if (!this._multilineTest) {
+      return lines;
+    }
+    const grouped = groupLines(lines, this._multilineTest);
+    return grouped.pending ? grouped.entries.concat([grouped.pending]) : grouped.entries;
+  }
+
+  /**
+   * Helper method for splitting the buffered logData into lines, regardless of multiline
+   * @returns {object[]}
+   */
+  bufferedPhysicalLines() {
+    const texts = (this._logData || '').split('\n');
+    if (texts[texts.length - 1] === '') {
+      texts.pop();
+    }
+    const complete = (this._logData || '').endsWith('\n') ? texts.length : texts.length - 1;
+    let offset = this._earliestOffset === undefined ? null : this._earliestOffset - (this._staleBytes || 0);
+    return texts.map((text, i) => {
+      const line = {
+        text: text.replace(/\r$/, ''),
+        byteOffset: offset !== null && offset >= this._earliestOffset ? offset : null,
+      };
+      if (this.lineMode && this._lineCount !== undefined) {
+        line.lineNumber = this._lineCount - complete + 1 + i;
+      }
+      offset = offset === null ? null : offset + byteLength(text) + 1;
+      return line;
+    });
+  }
+
+  /**
+   * Searches the buffered logData, regardless of the filters
+   * @param {string|RegExp} query A substring or a regular expression
+   * @returns {object[]} The matching 'line', as returned by bufferedLines(), the 'match', its character 'index' within
+   * the line and its 'byteOffset' within the file (null if the line is from before the log was rotated)
+   */
+  search(query) {
+    let regex;
+    if (typeof query === 'string') {
+      regex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    } else if (query instanceof RegExp) {
+      regex = new RegExp(query.source, query.flags.includes('g') ? query.flags : `${query.flags}g`);
+    } else {
+      throw new TypeError(`Argument 'query' must be a string or a RegExp, not ${query}`);
+    }
+
+    const results = [];
+    this.bufferedLines().forEach(line => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(line.text))) {
+        results.push({
+          line,
+          match: match[0],
+          index: match.index,
+          byteOffset: line.byteOffset === null ? null : line.byteOffset + byteLength(line.text.substring(0, match.index)),
+        });
+        if (match[0] === '') {
+          regex.lastIndex++;
+        }
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Exports the buffered logData, or a part of it, e.g. to attach what's on screen to a ticket. The header of the export
+   * has the URL, the byte and line ranges and the capture time, so the export can be reproduced. See EXPORTERS for the
+   * formats, and downloadExport() and writeExport() for saving it
+   * @param {object} opts
+   * @param {string} opts.format 'text', 'ndjson' or 'html'. Defaults to 'text'
+   * @param {object} opts.bytes Only export the lines that overlap the bytes from 'start' to 'end' (inclusive) of the
+   * file
+   * @param {object} opts.lines Only export the lines from line number 'start' to 'end' (inclusive). Requires line mode
+   * @param {string|RegExp|object|function|Array} opts.filter Only export the lines that match the filter, or all
+   * filters of an array, e.g. the filters of the tail. See addFilter()
+   * @param {boolean} opts.header Set to false to leave out the header. Defaults to true
+   * @returns {object} The 'content', its MIME 'type', a 'filename' and the 'header'
+   * @throws {TypeError} If the format or a filter is invalid
+   */
+  exportLog(opts = {}) {
+    const format = opts.format || 'text';
+    const exporter = EXPORTERS[format];
+    if (!exporter) {
+      throw new TypeError(`Option 'format' must be one of ${Object.keys(EXPORTERS).join(', ')}, not ${format}`);
+    }
+    const filters = opts.filter === undefined ? [] : [].concat(opts.filter);
+    const tests = filters.map(filter => filterTest(filter));
+    const lastByte = line => line.byteOffset + Math.max(byteLength(line.text), 1) - 1;
+    const overlaps = (first, last, range) => first !== null && first !== undefined &&
+      (range.start === undefined || last >= range.start) && (range.end === undefined || first <= range.end);
+
+    const lines = this.bufferedLines().filter(line =>
+      (!opts.bytes || overlaps(line.byteOffset, line.byteOffset === null ? null : lastByte(line), opts.bytes)) &&
+      (!opts.lines || overlaps(line.lineNumber, line.lineNumber, opts.lines)))
+      .map(line => this.parser ? Object.assign({}, line, {record: this.parseRecord(line)}) : line)
+      .filter(line => tests.every(test => test(line, line.record || null)));
+
+    const first = lines[0];
+    const last = lines[lines.length - 1];
+    const header = {
+      url: this.url,
+      bytes: first && first.byteOffset !== null && last.byteOffset !== null ?
+        {start: first.byteOffset, end: lastByte(last)} : null,
+      lines: first && first.lineNumber !== undefined ? {start: first.lineNumber, end: last.lineNumber} : null,
+      capturedAt: new Date(),
+      filter: filters.length > 0 ? filters.map(filter => typeof filter === 'object' && !(filter instanceof RegExp) ?
+        JSON.stringify(filter) : String(filter)) : null,
+      count: lines.length,
+    };
+    const name = this.url.split(/[?#]/)[0].split('/').pop() || 'log';
+    return {
+      content: exporter.format(lines, opts.header === false ? null : header),
+      type: exporter.type,
+      filename: `${name.replace(/\.[^.]*$/, '')}-${header.capturedAt.toISOString().replace(/[:.]/g, '-')}.${exporter.extension}`,
+      header,
+    };
+  }
+
+  /**
+   * Parses a line with the parser of the tail
+   * @param {object} line A line as emitted via LinesAppendedEvent
+   * @returns {object} The record of the line, including its 'byteOffset' and 'lineNumber'
+   */
+  parseRecord(line) {
+    const record = parseLine(this.parser, line.text);
+    record.byteOffset = line.byteOffset;
+    record.lineNumber = line.lineNumber;
+    return record;
+  }
+
+  /**
+   * Creates a JSON object of the provided response. This is mostly for debugging purposes
+   * @param {Response} response
+   * @returns {Promise<object, Error>}
+   */
+  async dumpResponse(response) {
+    const json = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: {},
+      redirected: response.redirected,
+    };
+    const clone = response.clone();
+    clone.headers.forEach((value, header) => json.headers[header] = value);
+    if (clone.headers.has('content-type')) {
+      if (clone.headers.get('content-type').search('json') > -1) {
+        json.body = await clone.json();
+      } else {
+        json.text = await clone.text();
+      }
+    }
+    return json;
+  }
+
+  /**
+   * @returns {boolean} If true, the log data is currently being fetched
+   */
+  get loading() {
+    return this._loading;
+  }
+
+  /**
+   * @returns {number} The number of milliseconds to wait between each poll. In adaptive mode, this is the current
+   * interval
+   */
+  get pollInterval() {
+    if (this.adaptivePolling) {
+      return this._currentPollInterval;
+    }
+    return this._pollInterval || defaultOpts.pollInterval;
+  }
+
+  set pollInterval(pollInterval=1000) {
+    const isInterval = value => Number.isInteger(value) && value > 0;
+    const isFactor = value => value === undefined || (typeof value === 'number' && isFinite(value) && value > 1);
+    if (isInterval(pollInterval)) {
+      this._pollInterval = pollInterval;
+      this._adaptivePolling = null;
+    } else if (pollInterval && isInterval(pollInterval.min) && isInterval(pollInterval.max) && pollInterval.min <= pollInterval.max && isFactor(pollInterval.factor)) {
+      this._adaptivePolling = Object.assign({}, pollInterval, {factor: pollInterval.factor || 2});
+      this._currentPollInterval = pollInterval.min;
+    } else {
+      throw new TypeError(`Attribute 'pollInterval' must be a positive integer or an object with positive integers 'min' and 'max' and an optional 'factor' > 1, not ${pollInterval}`);
+    }
+  }
+
+  /**
+   * @returns {object|null} The 'min' and 'max' poll interval and the 'factor' by which the interval grows while the log
+   * is quiet. Null if the poll interval is fixed
+   */
+  get adaptivePolling() {
+    return this._adaptivePolling || null;
+  }
+
+  /**
+   * @returns {boolean} True if polling stops while the page is hidden. Default is false
+   */
+  get pauseWhenHidden() {
+    return this._pauseWhenHidden;
+  }
+
+  set pauseWhenHidden(pauseWhenHidden=false) {
+    this._pauseWhenHidden = !!pauseWhenHidden;
+  }
+
+  /**
+   * @returns {number} The number of bytes to load on each request. Defaults to 30kb
+   */
+  get loadBytes() {
+    return this._loadBytes || defaultOpts.loadBytes;
+  }
+
+  set loadBytes(loadBytes=30 * 1024) {
+    if (Number.isInteger(loadBytes) && !Number.isNaN(loadBytes) && loadBytes > 0) {
+      this._loadBytes = loadBytes;
+    } else {
+      throw new TypeError(`Property 'loadBytes' must be a positive integer, not ${loadBytes}`);
+    }
+  }
+
+  /**
+   * @returns {string} The state of the tail: 'idle' until it's started, 'starting' until the first data is retrieved,
+   * then 'running', 'paused' after pause(), 'stopped' after stop() or destroy() and 'errored' once it gave up retrying
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * @returns {boolean} True if the tail was destroyed
+   */
+  get destroyed() {
+    return !!this._destroyed;
+  }
+
+  /**
+   * @returns {boolean} True if the tail is paused or stopped. Default is false
+   */
+  get paused() {
+    return this._state === 'paused' || this._state === 'stopped';
+  }
+
+  /**
+   * Same as calling pause() or resume()
+   * @param {boolean} paused
+   */
+  set paused(paused=false) {
+    if (paused) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+  }
+
+  /**
+   * @returns {Transport} The transport that retrieves the data
+   */
+  get transport() {
+    return this._transport;
+  }
+
+  set transport(transport='poll') {
+    const TransportClass = typeof transport === 'string' ? TRANSPORTS[transport] : transport;
+    if (typeof TransportClass !== 'function' || !(TransportClass.prototype instanceof Transport)) {
+      throw new TypeError(`Property 'transport' must be one of ${Object.keys(TRANSPORTS).join(', ')} or a subclass of Transport, not ${transport}`);
+    }
+    if (this._transport) {
+      this._transport.stop();
+    }
+    this._transport = new TransportClass(this);
+  }
+
+  /**
+   * @returns {function|null} The implementation of fetch() that's used for all requests. Null if it's the global one
+   */
+  get fetch() {
+    return this._fetch || null;
+  }
+
+  set fetch(fetch=null) {
+    if (fetch === null || typeof fetch === 'function') {
+      this._fetch = fetch;
+    } else {
+      throw new TypeError(`Property 'fetch' must be a function or null, not ${fetch}`);
+    }
+  }
+
+  /**
+   * @returns {object} The options of fetch() that are added to every request
+   */
+  get requestOptions() {
+    return this._requestOptions;
+  }
+
+  set requestOptions(requestOptions={}) {
+    if (requestOptions && typeof requestOptions === 'object') {
+      this._requestOptions = requestOptions;
+    } else {
+      throw new TypeError(`Property 'requestOptions' must be an object, not ${requestOptions}`);
+    }
+  }
+
+  /**
+   * @returns {function|null} The hook that's called before every request
+   */
+  get onRequest() {
+    return this._onRequest || null;
+  }
+
+  set onRequest(onRequest=null) {
+    this._onRequest = hook('onRequest', onRequest);
+  }
+
+  /**
+   * @returns {function|null} The hook that's called with every response
+   */
+  get onResponse() {
+    return this._onResponse || null;
+  }
+
+  set onResponse(onResponse=null) {
+    this._onResponse = hook('onResponse', onResponse);
+  }
+
+  /**
+   * @returns {function|null} The hook that's called when the server responds with 401 or 403
+   */
+  get onAuthRequired() {
+    return this._onAuthRequired || null;
+  }
+
+  set onAuthRequired(onAuthRequired=null) {
+    this._onAuthRequired = hook('onAuthRequired', onAuthRequired);
+  }
+
+  /**
+   * @returns {string|null} The URL of the event stream or WebSocket. Null if it's the URL of the log
+   */
+  get streamUrl() {
+    return this._streamUrl || null;
+  }
+
+  set streamUrl(streamUrl=null) {
+    if (streamUrl === null || typeof streamUrl === 'string') {
+      this._streamUrl = streamUrl;
+    } else {
+      throw new TypeError(`Property 'streamUrl' must be a string or null, not ${streamUrl}`);
+    }
+  }
+
+  /**
+   * @returns {boolean} True if complete lines are emitted via LinesAppendedEvent. Default is false
+   */
+  get lineMode() {
+    return this._lineMode || !!this.parser || this.filters.length > 0 || this.alerts.length > 0 || this.multiline !== null;
+  }
+
+  set lineMode(lineMode=false) {
+    this._lineMode = !!lineMode;
+  }
+
+  /**
+   * @returns {string|function|null} The parser that turns lines into records. Null if lines aren't parsed
+   */
+  get parser() {
+    return this._parser || null;
+  }
+
+  set parser(parser=null) {
+    if (parser === null || typeof parser === 'function' || (typeof parser === 'string' && getParser(parser))) {
+      this._parser = parser;
+    } else {
+      throw new TypeError(`Property 'parser' must be the name of a registered parser, a function or null, not ${parser}`);
+    }
+  }
+
+  /**
+   * @returns {Array<string|RegExp|object|function>} The filters that lines must match to be emitted
+   */
+  get filters() {
+    return this._filters || defaultOpts.filters;
+  }
+
+  set filters(filters=[]) {
+    if (!Array.isArray(filters)) {
+      throw new TypeError(`Property 'filters' must be an array, not ${filters}`);
+    }
+    const tests = filters.map(filter => filterTest(filter));
+    const changed = this._filters !== undefined;
+    this._filters = filters.slice();
+    this._filterTests = tests;
+    if (changed) {
+      const lines = this.bufferedLines().filter(line => this.matchesFilters(line, this.parser ? this.parseRecord(line) : null));
+      this.emit(FiltersChangedEvent.name, new FiltersChangedEvent(this.filters, lines));
+    }
+  }
+
+  /**
+   * @returns {object[]} The alert rules. See addAlert()
+   */
+  get alerts() {
+    return this._alerts || defaultOpts.alerts;
+  }
+
+  set alerts(alerts=[]) {
+    if (!Array.isArray(alerts)) {
+      throw new TypeError(`Property 'alerts' must be an array, not ${alerts}`);
+    }
+    /* Rules that are kept keep counting */
+    const previous = new Map((this._alertRules || []).map(alert => [alert.rule, alert]));
+    this._alertRules = alerts.map(rule => previous.get(rule) || alertRule(rule));
+    this._alerts = alerts.slice();
+  }
+
+  /**
+   * @returns {string|RegExp|function|null} What starts a new multi-line entry. Null if lines aren't grouped
+   */
+  get multiline() {
+    return this._multiline || defaultOpts.multiline;
+  }
+
+  set multiline(multiline=null) {
+    this._multilineTest = multiline === null ? null : multilineTest(multiline);
+    this._multiline = multiline;
+    this._pendingState = {};
+  }
+
+  /**
+   * @returns {number} The number of milliseconds a trailing partial line is held back before it's emitted
+   */
+  get lineFlushTimeout() {
+    return this._lineFlushTimeout === undefined ? defaultOpts.lineFlushTimeout : this._lineFlushTimeout;
+  }
+
+  set lineFlushTimeout(lineFlushTimeout=1000) {
+    if (Number.isInteger(lineFlushTimeout) && lineFlushTimeout >= 0) {
+      this._lineFlushTimeout = lineFlushTimeout;
     } else {
-      throw new UnexpectedServerResponseError(`Server responded with an unexpected code. Expected 200 or 206 but got ${xhr.status}`, xhr.status, xhr.statusText);
+      throw new TypeError(`Property 'lineFlushTimeout' must be a non-negative integer, not ${lineFlushTimeout}`);
     }
+  }
+
+  /**
+   * @returns {boolean} True if the tailer re-syncs with the log file when it's truncated or replaced. Default is true
+   */
+  get followRotation() {
+    return this._followRotation;
+  }
 
-    return xhr.text();
+  set followRotation(followRotation=true) {
+    this._followRotation = !!followRotation;
   }
 
   /**
-   * Starts polling for the end of the file. New content is emitted after the initial 30kb are provided
-   * @returns {Promise<string[],Error>}
+   * @returns {number|null} The maximum number of bytes kept in logData. Null if there's no limit
    */
-  async getLog() {
-    const range = await this.getRange();
-    this.console.debug(`${this.getLog.name}: using range ${range} for the request to tail ${this.url}`);
-    const data = await this.sendRangeRequest(range);
-    this.console.debug(`Found new content for file ${this.url}: ${data} with new size ${this.logFileSize}`);
-    if (this._firstLoad && data.length > this.loadBytes) {
-      throw new ServerResponseTooLongError(`Server response is too long. Expected ${this.loadBytes} bytes but got ${data.length}`, data.length, data);
+  get maxBufferBytes() {
+    return this._maxBufferBytes || null;
+  }
+
+  set maxBufferBytes(maxBufferBytes=null) {
+    if (maxBufferBytes === null || (Number.isInteger(maxBufferBytes) && maxBufferBytes > 0)) {
+      this._maxBufferBytes = maxBufferBytes;
+    } else {
+      throw new TypeError(`Property 'maxBufferBytes' must be a positive integer or null, not ${maxBufferBytes}`);
     }
+  }
 
-    let newContent;
-    if (this._firstLoad) {
-      /* Clip leading part-line if not the whole file */
-      if (data.size < this.logFileSize) {
-        const start = data.indexOf('\n');
-        newContent = this._logData = data.substring(start + 1);
-      } else {
-        newContent = this._logData = data;
-      }
+  /**
+   * @returns {number|null} The maximum number of lines kept in logData. Null if there's no limit
+   */
+  get maxBufferLines() {
+    return this._maxBufferLines || null;
+  }
+
+  set maxBufferLines(maxBufferLines=null) {
+    if (maxBufferLines === null || (Number.isInteger(maxBufferLines) && maxBufferLines > 0)) {
+      this._maxBufferLines = maxBufferLines;
     } else {
-      /* Drop the first byte (see above) */
-      this._logData += (newContent = data.substring(1));
+      throw new TypeError(`Property 'maxBufferLines' must be a positive integer or null, not ${maxBufferLines}`);
     }
+  }
 
-    return newContent;
+  /**
+   * @returns {object|null} The persistence adapter that saves the position in the log
+   */
+  get persistence() {
+    return this._persistence || null;
+  }
+
+  set persistence(persistence=null) {
+    if (typeof persistence === 'string' && PERSISTENCE_ADAPTERS[persistence]) {
+      this._persistence = new PERSISTENCE_ADAPTERS[persistence]();
+    } else if (persistence === null || (persistence && typeof persistence.load === 'function' && typeof persistence.save === 'function')) {
+      this._persistence = persistence;
+    } else {
+      throw new TypeError(`Property 'persistence' must be one of ${Object.keys(PERSISTENCE_ADAPTERS).join(', ')}, an object with load() and save() or null, not ${persistence}`);
+    }
   }
 
   /**
-   * Creates a JSON object of the provided response. This is mostly for debugging purposes
-   * @param {Response} response
-   * @returns {Promise<object, Error>}
+   * @returns {number} The maximum number of bytes that are loaded when catching up with the saved position
    */
-  async dumpResponse(response) {
-    const json = {
-      status: response.status,
-      statusText: response.statusText,
-      headers: {},
-      redirected: response.redirected,
-    };
-    const clone = response.clone();
-    clone.headers.forEach((value, header) => json.headers[header] = value);
-    if (clone.headers.has('content-type')) {
-      if (clone.headers.get('content-type').search('json') > -1) {
-        json.body = await clone.json();
-      } else {
-        json.text = await clone.text();
-      }
+  get maxCatchUpBytes() {
+    return this._maxCatchUpBytes || defaultOpts.maxCatchUpBytes;
+  }
+
+  set maxCatchUpBytes(maxCatchUpBytes=defaultOpts.maxCatchUpBytes) {
+    if (Number.isInteger(maxCatchUpBytes) && maxCatchUpBytes > 0) {
+      this._maxCatchUpBytes = maxCatchUpBytes;
+    } else {
+      throw new TypeError(`Property 'maxCatchUpBytes' must be a positive integer, not ${maxCatchUpBytes}`);
     }
-    return json;
   }
 
   /**
-   * @returns {boolean} If true, the log data is currently being fetched
+   * @returns {number} The time between StatsEvents while the tail runs. 0 if they're turned off
    */
-  get loading() {
-    return this._loading;
+  get statsInterval() {
+    return this._statsInterval || defaultOpts.statsInterval;
+  }
+
+  set statsInterval(statsInterval=defaultOpts.statsInterval) {
+    if (!Number.isInteger(statsInterval) || statsInterval < 0) {
+      throw new TypeError(`Property 'statsInterval' must be a non-negative integer, not ${statsInterval}`);
+    }
+    this._statsInterval = statsInterval;
+    if (this.state === 'starting' || this.state === 'running' || this.state === 'errored') {
+      this.scheduleStats();
+    }
   }
 
   /**
-   * @returns {number} The number of milliseconds to wait between each poll
+   * @returns {number} The time over which the rates, latencies and levels of stats() are computed
    */
-  get pollInterval() {
-    return this._pollInterval || defaultOpts.pollInterval;
+  get statsWindow() {
+    return this._stats.window;
   }
 
-  set pollInterval(pollInterval=1000) {
-    if (Number.isInteger(pollInterval) && !Number.isNaN(pollInterval) && pollInterval > 0) {
-      this._pollInterval = pollInterval;
-    } else {
-      throw new TypeError(`Attribute 'pollInterval' must be a positive integer, not ${pollInterval}`);
+  set statsWindow(statsWindow=defaultOpts.statsWindow) {
+    if (!Number.isInteger(statsWindow) || statsWindow <= 0) {
+      throw new TypeError(`Property 'statsWindow' must be a positive integer, not ${statsWindow}`);
     }
+    this._stats.window = statsWindow;
   }
 
   /**
-   * @returns {number} The number of bytes to load on each request. Defaults to 30kb
+   * @returns {string[]} The response headers that identify the log file
    */
-  get loadBytes() {
-    return this._loadBytes || defaultOpts.loadBytes;
+  get identityHeaders() {
+    return this._identityHeaders || defaultOpts.identityHeaders;
   }
 
-  set loadBytes(loadBytes=30 * 1024) {
-    if (Number.isInteger(loadBytes) && !Number.isNaN(loadBytes) && loadBytes > 0) {
-      this._loadBytes = loadBytes;
+  set identityHeaders(identityHeaders=[]) {
+    if (Array.isArray(identityHeaders) && identityHeaders.every(header => typeof header === 'string')) {
+      this._identityHeaders = identityHeaders;
     } else {
-      throw new TypeError(`Property 'loadBytes' must be a positive integer, not ${loadBytes}`);
+      throw new TypeError(`Property 'identityHeaders' must be an array of strings, not ${identityHeaders}`);
     }
   }
 
   /**
-   * @returns {boolean} True if the poller is paused. Default is false
+   * @returns {object|false} The retry policy for failed polls. False if failed polls are retried at the regular interval
    */
-  get paused() {
-    return this._paused;
+  get retry() {
+    return this._retry === undefined ? defaultOpts.retry : this._retry;
   }
 
-  set paused(paused=false) {
-    this._paused = !!paused;
+  set retry(retry=defaultOpts.retry) {
+    if (retry === false) {
+      this._retry = false;
+    } else if (retry && typeof retry === 'object') {
+      this._retry = Object.assign({}, defaultOpts.retry, retry);
+    } else {
+      throw new TypeError(`Property 'retry' must be an object or false, not ${retry}`);
+    }
   }
 
   /**
@@ -359,6 +2473,21 @@ export default class LogTail {
     return this._logFileSize || null;
   }
 
+  /**
+   * @returns {number|null} The offset, in bytes, of the earliest data that has been retrieved. Null if nothing has been
+   * retrieved yet
+   */
+  get earliestOffset() {
+    return this._earliestOffset === undefined ? null : this._earliestOffset;
+  }
+
+  /**
+   * @returns {boolean} True if the data that has been retrieved starts at the beginning of the file
+   */
+  get startReached() {
+    return this._earliestOffset === 0;
+  }
+
   /**
    * @returns {string} The information from the logs that's been pulled so far
    */
@@ -429,7 +2558,7 @@ export class FetchError extends CausedBy {}
  *  });
  * </code>
  */
-export class DataAppendedEvent extends CustomEvent {
+export class DataAppendedEvent extends BaseEvent {
   static get name() {
     return 'data-appended';
   }
@@ -441,6 +2570,278 @@ export class DataAppendedEvent extends CustomEvent {
   }
 }
 
+/**
+ * An event that's emitted in line mode when complete lines have been appended to the log file. The 'detail'
+ * property is an array of objects with the line's 'text' (without the line ending), the 'byteOffset' of the line
+ * within the file and its 'lineNumber', counting from the first line that was retrieved. With multiline, each object is
+ * an entry whose 'text' spans its 'lineCount' lines, and whose 'byteOffset' and 'lineNumber' are the ones of its first
+ * line
+ * @example
+ * <code>
+ *  logtail.on(LinesAppendedEvent.name, evt => {
+ *    evt.detail.forEach(line => console.log(line.lineNumber, line.text));
+ *  });
+ * </code>
+ */
+export class LinesAppendedEvent extends BaseEvent {
+  static get name() {
+    return 'lines-appended';
+  }
+
+  constructor(lines=[]) {
+    super(LinesAppendedEvent.name, {
+      detail: lines,
+    });
+  }
+}
+
+/**
+ * An event that's emitted in line mode when a parser is set. The 'detail' property is an array of records with the
+ * 'timestamp' (a Date or null), normalized 'level' (one of LEVELS or null), 'message', 'fields', 'raw' text,
+ * 'byteOffset' and 'lineNumber' of each line. Records of lines that failed to parse have the 'parseError' flag set
+ * @example
+ * <code>
+ *  logtail.on(RecordsAppendedEvent.name, evt => {
+ *    evt.detail.forEach(record => console.log(record.level, record.message));
+ *  });
+ * </code>
+ */
+export class RecordsAppendedEvent extends BaseEvent {
+  static get name() {
+    return 'records-appended';
+  }
+
+  constructor(records=[]) {
+    super(RecordsAppendedEvent.name, {
+      detail: records,
+    });
+  }
+}
+
+/**
+ * An event that's emitted when an alert rule fires. The 'detail' property holds the 'rule' as it was added, its 'name',
+ * the dedupe 'key' (null if it isn't deduplicated), the matching 'lines' and their 'records' (null without a parser)
+ * and a 'summary' with the 'count' of lines, the 'window' in milliseconds, when the first one ('since') and the last
+ * one ('until') was received and the number of lines per level ('levels')
+ * @example
+ * <code>
+ *  logtail.on(AlertEvent.name, evt => {
+ *    console.log(`${evt.detail.name}: ${evt.detail.summary.count} lines since ${evt.detail.summary.since}`);
+ *  });
+ * </code>
+ */
+export class AlertEvent extends BaseEvent {
+  static get name() {
+    return 'alert';
+  }
+
+  constructor(rule, name, key, lines, records, summary) {
+    super(AlertEvent.name, {
+      detail: {rule, name, key, lines, records, summary},
+    });
+  }
+}
+
+/**
+ * An event that's emitted when the filters changed. The 'detail' property holds the new 'filters' and the buffered
+ * 'lines' that match them, as returned by bufferedLines(), so a view can be re-rendered
+ */
+export class FiltersChangedEvent extends BaseEvent {
+  static get name() {
+    return 'filters-changed';
+  }
+
+  constructor(filters, lines) {
+    super(FiltersChangedEvent.name, {
+      detail: {filters, lines},
+    });
+  }
+}
+
+/**
+ * An event that's emitted when older data was loaded via loadOlder(). The 'detail' property holds the 'data', its
+ * 'byteOffset' within the file, whether the 'startReached' of the file was reached and, in line mode, the 'lines' of
+ * the data and their 'records' if a parser is set. The line numbers count backwards from the first line that was
+ * retrieved
+ * @example
+ * <code>
+ *  logtail.on(DataPrependedEvent.name, evt => {
+ *    console.log(`Older data: ${evt.detail.data}`);
+ *  });
+ * </code>
+ */
+export class DataPrependedEvent extends BaseEvent {
+  static get name() {
+    return 'data-prepended';
+  }
+
+  constructor(data, byteOffset, startReached, lines, records) {
+    super(DataPrependedEvent.name, {
+      detail: {data, byteOffset, startReached, lines, records},
+    });
+  }
+}
+
+/**
+ * An event that's emitted when data was evicted from the front of logData to keep it within maxBufferBytes and
+ * maxBufferLines. The 'detail' property holds the dropped 'data', its 'byteOffset' within the file, and the number of
+ * 'bytes' and 'lines' that were dropped. The 'byteOffset' is null if the data was from before the log was rotated
+ */
+export class EvictedEvent extends BaseEvent {
+  static get name() {
+    return 'evicted';
+  }
+
+  constructor(data, byteOffset, bytes, lines) {
+    super(EvictedEvent.name, {
+      detail: {data, byteOffset, bytes, lines},
+    });
+  }
+}
+
+/**
+ * An event that's emitted after the log file was truncated and the tailer re-synced with it. The 'detail' property
+ * holds the 'oldSize' and 'newSize' of the file, in bytes
+ * @example
+ * <code>
+ *  logtail.on(TruncatedEvent.name, evt => {
+ *    console.log(`Log truncated from ${evt.detail.oldSize} to ${evt.detail.newSize} bytes`);
+ *  });
+ * </code>
+ */
+export class TruncatedEvent extends BaseEvent {
+  static get name() {
+    return 'truncated';
+  }
+
+  constructor(oldSize, newSize) {
+    super(TruncatedEvent.name, {
+      detail: {oldSize, newSize},
+    });
+  }
+}
+
+/**
+ * An event that's emitted after the log file was replaced (e.g. by logrotate) and the tailer re-synced with the new
+ * file. The 'detail' property holds the 'oldSize' and 'newSize' of the file, in bytes
+ */
+export class RotatedEvent extends BaseEvent {
+  static get name() {
+    return 'rotated';
+  }
+
+  constructor(oldSize, newSize) {
+    super(RotatedEvent.name, {
+      detail: {oldSize, newSize},
+    });
+  }
+}
+
+/**
+ * An event that's emitted when a tail with a persistence adapter resumes from the position that was saved before. The
+ * 'detail' property holds the saved position ('fromOffset'), the size of the log ('toOffset'), the number of
+ * 'skippedBytes' that weren't loaded because of maxCatchUpBytes and whether the log was 'replaced' (or truncated) in
+ * the meantime, in which case the log is loaded like it's the first request instead
+ */
+export class CatchUpEvent extends BaseEvent {
+  static get name() {
+    return 'catch-up';
+  }
+
+  constructor(fromOffset, toOffset, skippedBytes, replaced) {
+    super(CatchUpEvent.name, {
+      detail: {fromOffset, toOffset, skippedBytes, replaced},
+    });
+  }
+}
+
+/**
+ * An event that's emitted when a poll failed and will be retried. The 'detail' property holds the 'error' that caused
+ * the failure, the number of the 'attempt' and the 'delay' in milliseconds before it's made
+ * @example
+ * <code>
+ *  logtail.on(ReconnectingEvent.name, evt => {
+ *    console.log(`Reconnecting in ${evt.detail.delay}ms (attempt ${evt.detail.attempt})`);
+ *  });
+ * </code>
+ */
+export class ReconnectingEvent extends BaseEvent {
+  static get name() {
+    return 'reconnecting';
+  }
+
+  constructor(error, attempt, delay) {
+    super(ReconnectingEvent.name, {
+      detail: {error, attempt, delay},
+    });
+  }
+}
+
+/**
+ * An event that's emitted when a poll succeeds after one or more failed attempts. The 'detail' property holds the
+ * number of 'attempts' it took
+ */
+export class ReconnectedEvent extends BaseEvent {
+  static get name() {
+    return 'reconnected';
+  }
+
+  constructor(attempts) {
+    super(ReconnectedEvent.name, {
+      detail: {attempts},
+    });
+  }
+}
+
+/**
+ * An event that's emitted when polling stops because the error isn't retryable or the maximum number of attempts
+ * has been reached. The 'detail' property holds the last 'error' and the number of 'attempts' that were made. Call
+ * start() to start again
+ */
+export class GaveUpEvent extends BaseEvent {
+  static get name() {
+    return 'gave-up';
+  }
+
+  constructor(error, attempts) {
+    super(GaveUpEvent.name, {
+      detail: {error, attempts},
+    });
+  }
+}
+
+/**
+ * An event that's emitted every statsInterval milliseconds while the tail runs. The 'detail' property holds the
+ * snapshot of stats()
+ */
+export class StatsEvent extends BaseEvent {
+  static get name() {
+    return 'stats';
+  }
+
+  constructor(stats) {
+    super(StatsEvent.name, {
+      detail: stats,
+    });
+  }
+}
+
+/**
+ * An event that's emitted when the state of the tail changes. The 'detail' property holds the new 'state' and the
+ * 'previous' one. See LogTail#state
+ */
+export class StateChangeEvent extends BaseEvent {
+  static get name() {
+    return 'state-change';
+  }
+
+  constructor(state, previous) {
+    super(StateChangeEvent.name, {
+      detail: {state, previous},
+    });
+  }
+}
+
 /**
  * An event that's thrown when the server responds with too many bytes
  */
@@ -496,7 +2897,33 @@ export class UnexpectedServerResponseError extends Error {
  * the log file has changed in such a way that the requested range is no longer valid (e.g. the
  * file got truncated)
  */
-export class LogFileTruncatedError extends Error {}
+export class LogFileTruncatedError extends Error {
+  constructor(msg, oldSize=null, newSize=null) {
+    super(msg);
+    this._oldSize = oldSize;
+    this._newSize = newSize;
+  }
+
+  /**
+   * @returns {number|null} The size, in bytes, of the file before it changed
+   */
+  get oldSize() {
+    return this._oldSize;
+  }
+
+  /**
+   * @returns {number|null} The size, in bytes, of the file after it changed. Null if the server didn't report it
+   */
+  get newSize() {
+    return this._newSize;
+  }
+}
+
+/**
+ * An error that's thrown when the log file was replaced by a different file, e.g. when it was rotated and the new file
+ * has already grown past the old size
+ */
+export class LogFileRotatedError extends LogFileTruncatedError {}
 
 /**
  * An event that's emitted when the server returns a non-206 code when 206 (partial content) is expected
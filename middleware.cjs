@@ -0,0 +1,313 @@
+// express/connect middleware for serving logs the way LogTail expects
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const parseRange = require('range-parser');
+const { streamLog, statFile } = require('./log-watcher.cjs');
+
+/**
+ * Creates a middleware that serves the logs in a directory with the Range semantics LogTail relies on: HEAD responses
+ * with the Content-Length, 206 responses with a Content-Range for a single byte range, 416 responses with the size of
+ * the file for unsatisfiable ranges, and ETag/Last-Modified validators. Responses are never compressed, since the
+ * offsets of LogTail are offsets into the file. A GET of the mount path itself returns a JSON listing of the logs.
+ * Requests that accept text/event-stream get the appended data pushed as Server-Sent Events instead (see
+ * transports.js for the messages), starting at the 'offset' query parameter or the last 'tail' bytes
+ * @example
+ * <code>
+ *   const serveLogs = require('js-logtail/middleware');
+ *   app.use('/logs', serveLogs({
+ *     root: '/var/log/myapp',
+ *     allow: [/\.log$/],
+ *     authorize: req => req.user && req.user.admin,
+ *   }));
+ * </code>
+ * @param {object} opts
+ * @param {string} opts.root The directory with the logs. Only the files directly in it are served
+ * @param {Array<string|RegExp>|function(name: string, req: object): boolean} opts.allow The names of the logs that may
+ * be served and listed, as names and patterns or a function. Defaults to all files that don't start with a dot
+ * @param {function(req: object): boolean|Promise<boolean>} opts.authorize Called for each request. Responds with a 403
+ * if it returns false. Errors are passed to next()
+ * @param {boolean} opts.listing Whether to serve the JSON listing. Defaults to true
+ * @param {number} opts.watchInterval How often, in milliseconds, streamed logs are checked for changes. Defaults to 250
+ * @returns {function(req: object, res: object, next: function)}
+ */
+function serveLogs(opts = {}) {
+  const {root, isAllowed, authorize, resolve} = logResolver(opts);
+  const listing = opts.listing !== false;
+
+  return function serveLogsMiddleware(req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      next();
+      return;
+    }
+    handle(req, res).catch(next);
+  };
+
+  async function handle(req, res) {
+    if (!await authorize(req)) {
+      sendStatus(res, 403);
+      return;
+    }
+    let name;
+    try {
+      name = decodeURIComponent(req.url.split('?')[0]).replace(/^\//, '');
+    } catch (e) {
+      sendStatus(res, 400);
+      return;
+    }
+
+    if (name === '' && listing) {
+      await sendListing(req, res);
+      return;
+    }
+    const stats = await resolve(name, req);
+    if (!stats) {
+      sendStatus(res, 404);
+    } else if (req.method === 'GET' && /\btext\/event-stream\b/.test(req.headers.accept || '')) {
+      sendEventStream(req, res, path.join(root, name), stats, opts);
+    } else {
+      sendLog(req, res, path.join(root, name), stats);
+    }
+  }
+
+  async function sendListing(req, res) {
+    const entries = await fs.promises.readdir(root);
+    const logs = [];
+    for (const name of entries.sort()) {
+      if (!isValidName(name) || !isAllowed(name, req)) {
+        continue;
+      }
+      const stats = await statFile(path.join(root, name));
+      if (stats) {
+        logs.push({name, size: stats.size, mtime: stats.mtime.toISOString()});
+      }
+    }
+    const body = JSON.stringify(logs);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.setHeader('Cache-Control', 'no-cache');
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+}
+
+/**
+ * Pushes the data appended to the logs in a directory over WebSockets, with the same options as serveLogs(). The
+ * WebSocket of a log is at the path of the log, e.g. ws://host/logs/app.log. This requires the 'ws' package
+ * @example
+ * <code>
+ *   const server = app.listen(8080);
+ *   serveLogs.attachWebSocket(server, {path: '/logs', root: '/var/log/myapp'});
+ * </code>
+ * @param {http.Server} server
+ * @param {object} opts The options of serveLogs()
+ * @param {string} opts.path The path under which the logs are served. Defaults to /
+ * @returns {WebSocketServer}
+ */
+function attachWebSocket(server, opts = {}) {
+  const {WebSocketServer} = require('ws');
+  const {root, authorize, resolve} = logResolver(opts);
+  const prefix = (opts.path || '').replace(/\/$/, '') + '/';
+  const wss = new WebSocketServer({noServer: true});
+  const reject = (socket, status) => socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+
+  server.on('upgrade', async (req, socket, head) => {
+    const pathname = req.url.split('?')[0];
+    if (!pathname.startsWith(prefix)) {
+      return;
+    }
+    try {
+      if (!await authorize(req)) {
+        reject(socket, 403);
+        return;
+      }
+      const name = decodeURIComponent(pathname.substring(prefix.length));
+      const stats = await resolve(name, req);
+      if (!stats) {
+        reject(socket, 404);
+        return;
+      }
+      wss.handleUpgrade(req, socket, head, ws => {
+        const stop = streamLog(path.join(root, name), streamStart(req, stats.size), message => ws.send(JSON.stringify(message)), opts, () => ws.close(1011));
+        ws.on('close', stop);
+      });
+    } catch (e) {
+      reject(socket, e instanceof URIError ? 400 : 500);
+    }
+  });
+  return wss;
+}
+
+/**
+ * Helper method for the options that are shared by serveLogs() and attachWebSocket()
+ * @param {object} opts
+ * @returns {object} The 'root', 'isAllowed', 'authorize' and a 'resolve' function that returns the stats of an
+ * allowed log by its name, or null
+ */
+function logResolver(opts) {
+  if (typeof opts.root !== 'string' || !opts.root) {
+    throw new TypeError(`Option 'root' must be a non-empty string, not ${opts.root}`);
+  }
+  const root = path.resolve(opts.root);
+  const isAllowed = allowFilter(opts.allow);
+  const authorize = opts.authorize || (() => true);
+  if (typeof authorize !== 'function') {
+    throw new TypeError(`Option 'authorize' must be a function, not ${authorize}`);
+  }
+  const resolve = async (name, req) => isValidName(name) && isAllowed(name, req) ? statFile(path.join(root, name)) : null;
+  return {root, isAllowed, authorize, resolve};
+}
+
+/**
+ * Helper method for pushing a log as Server-Sent Events
+ * @param {object} req
+ * @param {object} res
+ * @param {string} file
+ * @param {fs.Stats} stats
+ * @param {object} opts The options of serveLogs()
+ */
+function sendEventStream(req, res, file, stats, opts) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    /* Keeps nginx from buffering the stream */
+    'X-Accel-Buffering': 'no',
+  });
+  const send = message => {
+    const id = message.type === 'append' ? `id: ${message.offset + Buffer.byteLength(message.data, 'base64')}\n` : '';
+    res.write(`${id}data: ${JSON.stringify(message)}\n\n`);
+  };
+  const stop = streamLog(file, streamStart(req, stats.size), send, opts, () => res.end());
+  /* Comments keep proxies from closing the connection while the log is quiet */
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15 * 1000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    stop();
+  });
+}
+
+/**
+ * @param {object} req
+ * @param {number} size The current size of the log
+ * @returns {object} The 'offset' from which to stream the log (from the offset query parameter or the Last-Event-ID
+ * header) and the number of 'tail' bytes to start with if there's no offset
+ */
+function streamStart(req, size) {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const tail = /^[0-9]+$/.test(query.get('tail')) ? query.get('tail') * 1 : 30 * 1024;
+  const resume = query.get('offset') || req.headers['last-event-id'];
+  return {
+    offset: /^[0-9]+$/.test(resume) ? resume * 1 : Math.max(size - tail, 0),
+    tail,
+  };
+}
+
+/**
+ * Helper method for sending a log, or the requested range of it
+ * @param {object} req
+ * @param {object} res
+ * @param {string} file
+ * @param {fs.Stats} stats
+ */
+function sendLog(req, res, file, stats) {
+  const size = stats.size;
+  const etag = `"${size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+  const lastModified = stats.mtime.toUTCString();
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified);
+  /* Identifies the file itself rather than its content, for the identityHeaders option of LogTail */
+  res.setHeader('X-Log-File-Id', `${stats.dev.toString(16)}-${stats.ino.toString(16)}`);
+  /* no-transform keeps compression middleware and proxies from changing the byte offsets */
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+
+  let range = req.headers.range;
+  const ifRange = req.headers['if-range'];
+  if (range && ifRange && ifRange !== etag && ifRange !== lastModified) {
+    range = undefined;
+  }
+  if (!range && isFresh(req, etag)) {
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
+
+  let start = 0;
+  let end = size - 1;
+  res.statusCode = 200;
+  if (range) {
+    const ranges = parseRange(size, range, {combine: true});
+    if (ranges === -1) {
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.end();
+      return;
+    } else if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+      /* Multiple ranges are answered with the whole file, which is allowed and LogTail never asks for them */
+      start = ranges[0].start;
+      end = ranges[0].end;
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+  }
+  res.setHeader('Content-Length', end - start + 1);
+  if (req.method === 'HEAD' || end < start) {
+    res.end();
+    return;
+  }
+  const stream = fs.createReadStream(file, {start, end});
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+}
+
+/**
+ * @param {object} req
+ * @param {string} etag
+ * @returns {boolean} True if the client's copy, as given by If-None-Match, is up to date
+ */
+function isFresh(req, etag) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (!ifNoneMatch) {
+    return false;
+  }
+  return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} True if the name is a file directly in the root that's not hidden
+ */
+function isValidName(name) {
+  return !!name && !name.startsWith('.') && !/[/\\\0]/.test(name);
+}
+
+/**
+ * @param {Array<string|RegExp>|function|undefined} allow The allow option of serveLogs()
+ * @returns {function(name: string, req: object): boolean}
+ */
+function allowFilter(allow) {
+  if (allow === undefined) {
+    return () => true;
+  } else if (typeof allow === 'function') {
+    return allow;
+  } else if (Array.isArray(allow)) {
+    return name => allow.some(entry => entry instanceof RegExp ? entry.test(name) : entry === name);
+  }
+  throw new TypeError(`Option 'allow' must be an array or a function, not ${allow}`);
+}
+
+/**
+ * @param {object} res
+ * @param {number} status
+ */
+function sendStatus(res, status) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end(http.STATUS_CODES[status]);
+}
+
+module.exports = serveLogs;
+module.exports.serveLogs = serveLogs;
+module.exports.attachWebSocket = attachWebSocket;
@@ -0,0 +1,51 @@
+import { AlertEvent } from './logtail.js';
+
+/**
+ * @param {AlertEvent} evt
+ * @returns {object} The 'title' of the notification and its options: the last matching line as 'body' and the name of
+ * the rule as 'tag', so a notification replaces the previous one of the same rule
+ */
+export function formatAlert(evt) {
+  const {name, lines, summary} = evt.detail;
+  return {
+    title: summary.count > 1 ? `${name} (${summary.count} lines)` : name,
+    body: lines[lines.length - 1].text,
+    tag: name,
+  };
+}
+
+/**
+ * Shows a browser notification for each AlertEvent of a tail. Permission is asked for if it wasn't granted or denied
+ * yet, so call it from a user gesture, e.g. a click
+ * @example
+ * <code>
+ *   import { notifyAlerts } from 'js-logtail/notifications.js';
+ *   tail.addAlert({name: 'Errors', match: {level: 'error'}, count: 5, window: 60 * 1000, cooldown: 5 * 60 * 1000});
+ *   button.onclick = () => notifyAlerts(tail);
+ * </code>
+ * @param {LogTail} tail
+ * @param {object} opts
+ * @param {function(AlertEvent): object} opts.format Returns the 'title' and the options of the notification. Defaults
+ * to formatAlert()
+ * @param {AbortSignal} opts.signal Stops showing notifications when it's aborted
+ * @returns {Promise<boolean>} True if notifications are shown, false if they're unsupported or not permitted
+ */
+export async function notifyAlerts(tail, opts = {}) {
+  if (typeof Notification === 'undefined') {
+    tail.console.warn(`${notifyAlerts.name}: notifications aren't supported`);
+    return false;
+  }
+  if (Notification.permission === 'default') {
+    await Notification.requestPermission();
+  }
+  if (Notification.permission !== 'granted') {
+    tail.console.warn(`${notifyAlerts.name}: notifications aren't permitted`);
+    return false;
+  }
+  const format = opts.format || formatAlert;
+  tail.on(AlertEvent.name, evt => {
+    const notification = format(evt);
+    return new Notification(notification.title, notification);
+  }, null, {signal: opts.signal});
+  return true;
+}
@@ -0,0 +1,333 @@
+/**
+ * Parsers that turn a line of a log into a record. A parser is a function that takes the text of a line and returns
+ * an object with any of the 'timestamp', 'level', 'message' and 'fields' properties, or throws if the line isn't in
+ * its format
+ */
+
+/**
+ * The levels a record can have, from the least to the most severe
+ * @type {string[]}
+ */
+export const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+const LEVEL_ALIASES = {
+  verbose: 'trace',
+  dbg: 'debug',
+  information: 'info',
+  notice: 'info',
+  warning: 'warn',
+  err: 'error',
+  severe: 'error',
+  crit: 'fatal',
+  critical: 'fatal',
+  alert: 'fatal',
+  emerg: 'fatal',
+  emergency: 'fatal',
+  panic: 'fatal',
+};
+
+/* Numeric levels as used by bunyan and pino */
+const NUMERIC_LEVELS = {10: 'trace', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal'};
+
+/* RFC 5424 severities, from emergency to debug */
+const SYSLOG_SEVERITIES = ['fatal', 'fatal', 'fatal', 'error', 'warn', 'info', 'info', 'debug'];
+
+const TIMESTAMP_KEYS = ['timestamp', 'time', 'ts', '@timestamp', 'date', 'datetime'];
+const LEVEL_KEYS = ['level', 'lvl', 'severity', 'loglevel'];
+const MESSAGE_KEYS = ['message', 'msg'];
+
+const MONTHS = {Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11};
+
+const parsers = {};
+
+/**
+ * An error that's thrown by a parser when a line isn't in its format
+ */
+export class ParseError extends Error {
+  constructor(msg, line) {
+    super(msg);
+    this._line = line;
+  }
+
+  /**
+   * @returns {string} The line that failed to parse
+   */
+  get line() {
+    return this._line;
+  }
+}
+
+/**
+ * Maps the level of a log line to one of LEVELS
+ * @param {string|number} level
+ * @returns {string|null} Null if the level isn't recognized
+ */
+export function normalizeLevel(level) {
+  if (typeof level === 'number') {
+    return NUMERIC_LEVELS[level] || null;
+  } else if (typeof level !== 'string') {
+    return null;
+  }
+  const name = level.trim().toLowerCase();
+  if (LEVELS.includes(name)) {
+    return name;
+  }
+  return LEVEL_ALIASES[name] || (/^[0-9]+$/.test(name) ? NUMERIC_LEVELS[name] || null : null);
+}
+
+/**
+ * Converts the timestamp of a log line to a date. Numbers are taken as milliseconds since the epoch, or seconds if
+ * they're too small to be milliseconds
+ * @param {string|number} timestamp
+ * @returns {Date|null} Null if the timestamp is invalid
+ */
+export function parseTimestamp(timestamp) {
+  let date;
+  if (typeof timestamp === 'number') {
+    date = new Date(timestamp < 1e11 ? timestamp * 1000 : timestamp);
+  } else if (typeof timestamp === 'string' && timestamp) {
+    date = new Date(timestamp);
+  } else {
+    return null;
+  }
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Adds a parser that can be selected by name via the 'parser' option of LogTail
+ * @param {string} name
+ * @param {function(line: string): object} parse
+ */
+export function registerParser(name, parse) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError(`Argument 'name' must be a non-empty string, not ${name}`);
+  } else if (typeof parse !== 'function') {
+    throw new TypeError(`Argument 'parse' must be a function, not ${parse}`);
+  }
+  parsers[name] = parse;
+}
+
+/**
+ * @param {string} name
+ * @returns {function|null} The parser that was registered under the name. Null if there's none
+ */
+export function getParser(name) {
+  return parsers[name] || null;
+}
+
+/**
+ * Parses a line into a record with the 'timestamp', 'level', 'message', 'fields' and 'raw' text of the line. If the
+ * parser throws, the record has the 'parseError' flag set, the 'error' that was thrown and the raw text as message
+ * @param {string|function} parser The name of a registered parser or a parser function
+ * @param {string} line
+ * @returns {object}
+ */
+export function parseLine(parser, line) {
+  const parse = typeof parser === 'function' ? parser : getParser(parser);
+  if (!parse) {
+    throw new TypeError(`Unknown parser ${parser}`);
+  }
+  try {
+    const parsed = parse(line);
+    if (!parsed || typeof parsed !== 'object') {
+      throw new ParseError(`Parser returned ${parsed} instead of an object`, line);
+    }
+    return {
+      timestamp: parsed.timestamp instanceof Date ? parsed.timestamp : parseTimestamp(parsed.timestamp),
+      level: normalizeLevel(parsed.level),
+      message: parsed.message === undefined ? line : parsed.message,
+      fields: parsed.fields || {},
+      raw: line,
+    };
+  } catch (e) {
+    return {
+      timestamp: null,
+      level: null,
+      message: line,
+      fields: {},
+      raw: line,
+      parseError: true,
+      error: e,
+    };
+  }
+}
+
+/**
+ * Helper method for pulling the well-known properties out of the key/value pairs of a structured line
+ * @param {object} pairs
+ * @returns {object}
+ */
+function fromPairs(pairs) {
+  const fields = Object.assign({}, pairs);
+  const take = keys => {
+    const key = keys.find(key => fields[key] !== undefined);
+    if (key === undefined) {
+      return undefined;
+    }
+    const value = fields[key];
+    delete fields[key];
+    return value;
+  };
+  const timestamp = take(TIMESTAMP_KEYS);
+  const level = take(LEVEL_KEYS);
+  const message = take(MESSAGE_KEYS);
+  return {
+    timestamp,
+    level,
+    message: message === undefined ? '' : String(message),
+    fields,
+  };
+}
+
+/**
+ * Parses JSON Lines, e.g. as written by bunyan or pino
+ * @param {string} line
+ * @returns {object}
+ */
+export function parseNdjson(line) {
+  let json;
+  try {
+    json = JSON.parse(line);
+  } catch (e) {
+    throw new ParseError(`Invalid JSON: ${e.message}`, line);
+  }
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new ParseError('Line is not a JSON object', line);
+  }
+  return fromPairs(json);
+}
+
+/**
+ * Parses logfmt, i.e. space separated key=value pairs where values with spaces are double-quoted. A key without a
+ * value is set to true
+ * @param {string} line
+ * @returns {object}
+ */
+export function parseLogfmt(line) {
+  const pairs = {};
+  const pattern = /\s*([^\s=]+)(?:=("(?:[^"\\]|\\.)*"|[^\s]*))?/g;
+  let count = 0;
+  let match;
+  while ((match = pattern.exec(line)) && match[0]) {
+    const [, key, value] = match;
+    if (value === undefined) {
+      pairs[key] = true;
+    } else if (value.startsWith('"')) {
+      pairs[key] = value.slice(1, -1).replace(/\\(.)/g, (escape, char) => char === 'n' ? '\n' : char);
+    } else {
+      pairs[key] = value;
+    }
+    count += value === undefined ? 0 : 1;
+  }
+  if (count === 0) {
+    throw new ParseError('Line has no key=value pairs', line);
+  }
+  return fromPairs(pairs);
+}
+
+/**
+ * Parses the Common Log Format and the Combined Log Format used by the access logs of Apache and Nginx. The level is
+ * derived from the status code
+ * @param {string} line
+ * @returns {object}
+ */
+export function parseClf(line) {
+  const match = /^(\S+) (\S+) (\S+) \[([^\]]+)\] "((?:[^"\\]|\\.)*)" ([0-9]{3}) (\S+)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?/.exec(line);
+  if (!match) {
+    throw new ParseError('Line is not in the common log format', line);
+  }
+  const [, host, ident, user, time, request, status, size, referer, userAgent] = match;
+  const [method, path, protocol] = request.split(' ');
+  const code = status * 1;
+  const fields = {
+    host,
+    ident: ident === '-' ? null : ident,
+    user: user === '-' ? null : user,
+    method,
+    path,
+    protocol,
+    status: code,
+    size: size === '-' ? 0 : size * 1,
+  };
+  if (referer !== undefined) {
+    fields.referer = referer === '-' ? null : referer;
+    fields.userAgent = userAgent === '-' ? null : userAgent;
+  }
+  return {
+    timestamp: parseClfTime(time),
+    level: code >= 500 ? 'error' : code >= 400 ? 'warn' : 'info',
+    message: request,
+    fields,
+  };
+}
+
+/**
+ * @param {string} time A time like 10/Oct/2000:13:55:36 -0700
+ * @returns {Date|null}
+ */
+function parseClfTime(time) {
+  const match = /^([0-9]{2})\/([A-Z][a-z]{2})\/([0-9]{4}):([0-9]{2}):([0-9]{2}):([0-9]{2}) ([+-])([0-9]{2})([0-9]{2})$/.exec(time);
+  if (!match || MONTHS[match[2]] === undefined) {
+    return null;
+  }
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const offset = (sign === '-' ? -1 : 1) * (offsetHours * 60 + offsetMinutes * 1);
+  return new Date(Date.UTC(year, MONTHS[month], day, hours, minutes, seconds) - offset * 60 * 1000);
+}
+
+/**
+ * Parses RFC 5424 syslog messages. The structured data is added to the fields by its SD-ID
+ * @param {string} line
+ * @returns {object}
+ */
+export function parseSyslog(line) {
+  const match = /^<([0-9]{1,3})>([0-9]{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]"\\]|\\.|"(?:[^"\\]|\\.)*")*\])+)(?: (.*))?$/.exec(line);
+  if (!match) {
+    throw new ParseError('Line is not an RFC 5424 syslog message', line);
+  }
+  const [, priority, version, timestamp, hostname, appName, procId, msgId, structuredData, message=''] = match;
+  const nil = value => value === '-' ? null : value;
+  const fields = {
+    facility: priority >> 3,
+    severity: priority & 7,
+    version: version * 1,
+    hostname: nil(hostname),
+    appName: nil(appName),
+    procId: nil(procId),
+    msgId: nil(msgId),
+    structuredData: parseStructuredData(structuredData),
+  };
+  return {
+    timestamp: nil(timestamp),
+    level: SYSLOG_SEVERITIES[priority & 7],
+    message: message.replace(/^\uFEFF/, ''),
+    fields,
+  };
+}
+
+/**
+ * @param {string} structuredData e.g. [exampleSDID@32473 iut="3" eventSource="Application"]
+ * @returns {object} The parameters of each element by its SD-ID
+ */
+function parseStructuredData(structuredData) {
+  const elements = {};
+  if (structuredData === '-') {
+    return elements;
+  }
+  const elementPattern = /\[([^\s\]]+)((?:[^\]"\\]|\\.|"(?:[^"\\]|\\.)*")*)\]/g;
+  let element;
+  while ((element = elementPattern.exec(structuredData))) {
+    const params = elements[element[1]] = {};
+    const paramPattern = /([^\s=]+)="((?:[^"\\]|\\.)*)"/g;
+    let param;
+    while ((param = paramPattern.exec(element[2]))) {
+      params[param[1]] = param[2].replace(/\\(["\\\]])/g, '$1');
+    }
+  }
+  return elements;
+}
+
+registerParser('ndjson', parseNdjson);
+registerParser('logfmt', parseLogfmt);
+registerParser('clf', parseClf);
+registerParser('syslog', parseSyslog);
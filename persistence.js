@@ -0,0 +1,112 @@
+/**
+ * Persistence adapters store the position in the log per URL, so a tail can catch up with what was appended while it
+ * wasn't running, e.g. across page reloads. An adapter has two methods, which may return promises:
+ * - load(url): the record that was saved for the URL, or null
+ * - save(url, record): stores the record
+ * The record is a plain object that can be serialized as JSON
+ */
+
+/**
+ * Keeps the positions in memory, e.g. for tails that are created and destroyed within the same page
+ */
+export class MemoryAdapter {
+  constructor() {
+    this._records = new Map();
+  }
+
+  load(url) {
+    return this._records.get(url) || null;
+  }
+
+  save(url, record) {
+    this._records.set(url, record);
+  }
+}
+
+/**
+ * Keeps the positions in localStorage as JSON
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {object} opts
+   * @param {Storage} opts.storage Defaults to localStorage
+   * @param {string} opts.prefix The prefix of the keys. Defaults to 'logtail:'
+   */
+  constructor(opts = {}) {
+    this.storage = opts.storage || localStorage;
+    this.prefix = opts.prefix || 'logtail:';
+  }
+
+  load(url) {
+    const json = this.storage.getItem(`${this.prefix}${url}`);
+    return json ? JSON.parse(json) : null;
+  }
+
+  save(url, record) {
+    this.storage.setItem(`${this.prefix}${url}`, JSON.stringify(record));
+  }
+}
+
+/**
+ * Keeps the positions in an IndexedDB object store, keyed by URL
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {object} opts
+   * @param {string} opts.name The name of the database. Defaults to 'logtail'
+   * @param {string} opts.storeName The name of the object store. Defaults to 'positions'
+   */
+  constructor(opts = {}) {
+    this.name = opts.name || 'logtail';
+    this.storeName = opts.storeName || 'positions';
+  }
+
+  load(url) {
+    return this.request('readonly', store => store.get(url)).then(record => record || null);
+  }
+
+  save(url, record) {
+    return this.request('readwrite', store => store.put(record, url));
+  }
+
+  /**
+   * Helper method for opening the database once
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Helper method for sending a request to the object store
+   * @param {string} mode 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore): IDBRequest} send
+   * @returns {Promise<*>} The result of the request
+   */
+  async request(mode, send) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = send(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * The adapters that can be selected by name via the 'persistence' option of LogTail
+ * @type {object}
+ */
+export const PERSISTENCE_ADAPTERS = {
+  memory: MemoryAdapter,
+  localStorage: LocalStorageAdapter,
+  indexedDB: IndexedDBAdapter,
+};
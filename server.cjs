@@ -0,0 +1,14 @@
+// example server for testing the component
+const express = require('express');
+const path = require('path');
+const serveLogs = require('./middleware.cjs');
+const app = express();
+
+app.use('/docs', express.static('docs'));
+const logs = {root: path.join(__dirname, 'logs')};
+app.use('/logs', serveLogs(logs));
+app.use(express.static(process.cwd()));
+
+// start the server
+const server = app.listen(9843, () => console.log('Server started. Documentation is at /docs (if the docs have been generated)'));
+serveLogs.attachWebSocket(server, Object.assign({path: '/logs'}, logs));
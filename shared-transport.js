@@ -0,0 +1,303 @@
+import { Transport, TRANSPORTS } from './transports.js';
+import * as logtail from './logtail.js';
+
+const {ReconnectingEvent, ReconnectedEvent, GaveUpEvent, TruncatedEvent, RotatedEvent} = logtail;
+
+/**
+ * A transport for browsers that shares a single poller between the tails of a URL in all tabs of the origin. The tails
+ * talk via a BroadcastChannel and elect a leader, which polls the log like the 'poll' transport and broadcasts the data,
+ * truncation and rotation, errors and retries. The other tails (followers) load the end of the log once and then emit
+ * what the leader broadcasts as if they had retrieved it themselves. The leader sends a heartbeat every
+ * heartbeatInterval milliseconds. If it stops, e.g. because its tab was closed, another tail takes over within
+ * electionTimeout milliseconds. Importing this module registers the transport as 'shared'
+ * @example
+ * <code>
+ *   import LogTail from 'js-logtail/logtail.js';
+ *   import 'js-logtail/shared-transport.js';
+ *   const tail = new LogTail({url: '/logs/app.log', transport: 'shared'});
+ *   tail.on(DataAppendedEvent.name, evt => console.log(evt.detail));
+ *   tail.start();
+ * </code>
+ */
+export class SharedTransport extends Transport {
+  constructor(tail) {
+    super(tail);
+    this.id = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+    this.heartbeatInterval = 1000;
+    this.electionTimeout = 3000;
+    this.leader = false;
+  }
+
+  start() {
+    if (this._channel) {
+      /* Restarting after the tail gave up: only the leader polls */
+      if (this.leader) {
+        this.tail.poll();
+      } else {
+        this.post({type: 'start'});
+      }
+      return;
+    } else if (this.tail.paused) {
+      return;
+    }
+    this.tail.console.info(`${this.constructor.name}: joining ${this.channelName}`);
+    this._channel = new BroadcastChannel(this.channelName);
+    this._channel.onmessage = evt => this.received(evt.data);
+    this._leaderSeenAt = Date.now();
+    this._heartbeatTimer = setInterval(() => this.tick(), this.heartbeatInterval);
+    if (typeof window !== 'undefined') {
+      this._onPageHide = () => this.stop();
+      window.addEventListener('pagehide', this._onPageHide);
+    }
+    this.post({type: 'hello'});
+    this.catchUp();
+  }
+
+  stop() {
+    if (!this._channel) {
+      return;
+    }
+    this.tail.console.info(`${this.constructor.name}: leaving ${this.channelName}`);
+    if (this.leader) {
+      this.post({type: 'resign', id: this.id});
+      this.follow();
+    }
+    clearInterval(this._heartbeatTimer);
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    if (this._onPageHide) {
+      window.removeEventListener('pagehide', this._onPageHide);
+      this._onPageHide = null;
+    }
+    this._channel.close();
+    this._channel = null;
+    this._catchingUp = null;
+  }
+
+  emitted(data, byteOffset) {
+    if (this.leader) {
+      this.post({type: 'data', text: data, offset: byteOffset});
+    }
+  }
+
+  /**
+   * Called by the channel with each message of the other tails
+   * @param {object} message
+   */
+  received(message) {
+    if (message.type === 'hello' || message.type === 'heartbeat' || message.type === 'resign' ||
+      message.type === 'start') {
+      this.elect(message);
+    } else if (this.leader) {
+      /* A tail that was the leader until it learned about another one */
+      return;
+    } else if (this._catchingUp) {
+      this._queue.push(message);
+    } else if (message.type === 'data') {
+      this.tail.streamConnected();
+      if (this.tail.receiveText(message.text, message.offset) === null) {
+        this.tail.console.warn(`${this.constructor.name}: missed data before byte ${message.offset}. Catching up`);
+        this.catchUp();
+      }
+    } else {
+      this.relay(message);
+    }
+  }
+
+  /**
+   * Helper method for handling the messages of the leader election
+   * @param {object} message
+   */
+  elect(message) {
+    if (message.type === 'hello' && this.leader) {
+      this.post({type: 'heartbeat', id: this.id});
+    } else if (message.type === 'heartbeat') {
+      if (!this.leader) {
+        this._leaderSeenAt = Date.now();
+      } else if (message.id < this.id) {
+        this.tail.console.info(`${this.constructor.name}: ${message.id} is the leader of ${this.channelName}`);
+        this.follow();
+      } else {
+        this.post({type: 'heartbeat', id: this.id});
+      }
+    } else if (message.type === 'resign' && !this.leader) {
+      this.lead();
+    } else if (message.type === 'start' && this.leader && this.tail.state === 'errored') {
+      this.tail.start();
+    }
+  }
+
+  /**
+   * Helper method for emitting an event or error that the leader broadcast
+   * @param {object} message
+   */
+  relay(message) {
+    if (message.type === 'reset') {
+      try {
+        this.tail.receiveReset(message.rotated, message.oldSize, message.newSize);
+      } catch (e) {
+        this.tail.emit(e.constructor.name, e);
+        this.tail.emit('error', e);
+      }
+    } else if (message.type === 'error') {
+      const error = reviveError(message.error);
+      this.tail.emit(error.constructor.name, error);
+      this.tail.emit('error', error);
+    } else if (message.type === 'reconnecting') {
+      this.tail.emit(ReconnectingEvent.name, new ReconnectingEvent(reviveError(message.error), message.attempt, message.delay));
+    } else if (message.type === 'reconnected') {
+      this.tail.emit(ReconnectedEvent.name, new ReconnectedEvent(message.attempts));
+    } else if (message.type === 'gave-up') {
+      this.tail.transition('errored');
+      this.tail.emit(GaveUpEvent.name, new GaveUpEvent(reviveError(message.error), message.attempts));
+    }
+  }
+
+  /**
+   * Called every heartbeatInterval. The leader sends a heartbeat, a follower takes over if it hasn't heard from the
+   * leader within electionTimeout
+   */
+  tick() {
+    if (this.leader) {
+      this.post({type: 'heartbeat', id: this.id});
+    } else if (Date.now() - this._leaderSeenAt > this.electionTimeout) {
+      this.lead();
+    }
+  }
+
+  /**
+   * Makes this tail the leader, which polls the log and broadcasts what happens. If there's more than one leader, the
+   * one with the lowest id stays the leader
+   */
+  lead() {
+    this.tail.console.info(`${this.constructor.name}: leading ${this.channelName}`);
+    this.leader = true;
+    this.post({type: 'heartbeat', id: this.id});
+
+    this._subscription = new AbortController();
+    const opts = {signal: this._subscription.signal};
+    const broadcast = (Event, toMessage) => this.tail.on(Event.name, evt => this.post(toMessage(evt.detail)), null, opts);
+    broadcast(TruncatedEvent, detail => ({type: 'reset', rotated: false, oldSize: detail.oldSize, newSize: detail.newSize}));
+    broadcast(RotatedEvent, detail => ({type: 'reset', rotated: true, oldSize: detail.oldSize, newSize: detail.newSize}));
+    broadcast(ReconnectingEvent, detail => ({
+      type: 'reconnecting',
+      error: serializeError(detail.error),
+      attempt: detail.attempt,
+      delay: detail.delay,
+    }));
+    broadcast(ReconnectedEvent, detail => ({type: 'reconnected', attempts: detail.attempts}));
+    broadcast(GaveUpEvent, detail => ({type: 'gave-up', error: serializeError(detail.error), attempts: detail.attempts}));
+    this.tail.on('error', error => this.post({type: 'error', error: serializeError(error)}), null, opts);
+
+    /* The first poll continues where the catch up, if any, ends */
+    Promise.resolve(this._catchingUp).then(() => {
+      clearTimeout(this._retryTimer);
+      this._retryTimer = null;
+      if (this.leader) {
+        this.tail.poll();
+      }
+    });
+  }
+
+  /**
+   * Makes this tail a follower, which stops polling
+   */
+  follow() {
+    this.leader = false;
+    this._leaderSeenAt = Date.now();
+    this._subscription.abort();
+    this.tail.stopPolling();
+  }
+
+  /**
+   * Helper method for retrieving the data that was appended since the last data the tail received, once. Messages that
+   * are received in the meantime are handled afterwards
+   * @returns {Promise} Resolves when it's done
+   */
+  catchUp() {
+    if (this._catchingUp) {
+      return this._catchingUp;
+    }
+    this._queue = [];
+    const catchingUp = this._catchingUp = this.tail.update().then(() => true, error => {
+      if (catchingUp !== this._catchingUp || this.leader) {
+        return false;
+      }
+      const delay = this.tail.streamFailed(error);
+      if (delay !== null) {
+        this._retryTimer = setTimeout(() => this.catchUp(), delay);
+      }
+      return false;
+    }).then(caughtUp => {
+      if (catchingUp !== this._catchingUp) {
+        return;
+      }
+      const queue = this._queue;
+      this._catchingUp = null;
+      this._queue = null;
+      if (caughtUp) {
+        queue.forEach(message => this.received(message));
+      }
+    });
+    return catchingUp;
+  }
+
+  /**
+   * Helper method for broadcasting a message to the other tails
+   * @param {object} message
+   */
+  post(message) {
+    try {
+      this._channel.postMessage(message);
+    } catch (e) {
+      this.tail.console.warn(`${this.constructor.name}: couldn't broadcast the ${message.type} message`, e);
+    }
+  }
+
+  /**
+   * @returns {string} The name of the BroadcastChannel, which is derived from the absolute URL of the log
+   */
+  get channelName() {
+    const url = typeof location === 'undefined' ? this.tail.url : new URL(this.tail.url, location.href).href;
+    return `logtail:${url}`;
+  }
+}
+
+/**
+ * Helper method for converting an error to an object that can be broadcast. The 'name' is the one the class is
+ * exported as from logtail.js, since some classes override their name, e.g. MissingHeaderError is 'missing-header'
+ * @param {Error} error
+ * @returns {object}
+ */
+function serializeError(error) {
+  const fields = {};
+  Object.keys(error).forEach(key => {
+    const value = error[key];
+    if (value instanceof Error) {
+      fields[key] = {name: value.name, message: value.message};
+    } else if (typeof value !== 'function') {
+      fields[key] = value;
+    }
+  });
+  const name = Object.keys(logtail).find(key => logtail[key] === error.constructor);
+  return {name: name || error.constructor.name, message: error.message, fields};
+}
+
+/**
+ * Helper method for converting an error that was broadcast back to an instance of the error class of logtail.js, if
+ * it's one of them
+ * @param {object} serialized
+ * @returns {Error}
+ */
+function reviveError(serialized) {
+  const ErrorClass = logtail[serialized.name];
+  const error = Object.create(typeof ErrorClass === 'function' && ErrorClass.prototype instanceof Error ?
+    ErrorClass.prototype : Error.prototype);
+  Object.assign(error, serialized.fields);
+  Object.defineProperty(error, 'message', {value: serialized.message, writable: true, configurable: true});
+  return error;
+}
+
+TRANSPORTS.shared = SharedTransport;
+
+export default SharedTransport;
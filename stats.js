@@ -0,0 +1,134 @@
+/**
+ * Statistics of a LogTail: totals since it was created and rolling rates, request latencies and levels within a time
+ * window. LogTail records into it and exposes snapshots via stats() and StatsEvent
+ */
+export class TailStats {
+  /**
+   * @param {number} window The time, in milliseconds, over which rates, latencies and levels are computed
+   */
+  constructor(window = 60 * 1000) {
+    this.window = window;
+    this.createdAt = Date.now();
+    this.bytes = 0;
+    this.lines = 0;
+    this.polls = {total: 0, withData: 0, empty: 0};
+    this.errors = {};
+    this.requests = {head: 0, range: 0};
+    this.lastDataAt = null;
+    this.lastContactAt = null;
+    this._samples = [];
+  }
+
+  /**
+   * @param {string} kind 'head' or 'range'
+   * @param {number} latency The time until the response arrived, in milliseconds
+   */
+  request(kind, latency) {
+    this.requests[kind]++;
+    this.sample({kind, latency});
+  }
+
+  /**
+   * @param {boolean} withData Whether the poll retrieved any data
+   */
+  poll(withData) {
+    this.polls.total++;
+    this.polls[withData ? 'withData' : 'empty']++;
+    this.contact();
+  }
+
+  /**
+   * @param {number} bytes The number of bytes that were appended
+   */
+  data(bytes) {
+    this.bytes += bytes;
+    this.lastDataAt = this.lastContactAt = Date.now();
+    this.sample({bytes});
+  }
+
+  /**
+   * @param {number} count The number of lines that were appended
+   * @param {object|null} levels The number of lines per level, if a parser is set
+   */
+  linesAppended(count, levels) {
+    this.lines += count;
+    this.sample({lines: count, levels});
+  }
+
+  /**
+   * @param {Error} error
+   */
+  error(error) {
+    const name = error.constructor.name;
+    this.errors[name] = (this.errors[name] || 0) + 1;
+  }
+
+  /**
+   * Records that the server responded or the stream connected
+   */
+  contact() {
+    this.lastContactAt = Date.now();
+  }
+
+  /**
+   * @returns {object} The 'bytes' and 'lines' (with their 'total' and rate 'perSecond'), 'polls' ('total', 'withData'
+   * and 'empty'), 'requests' (the 'count' and the 'last', 'average' and 'max' latency of the 'head' and 'range'
+   * requests), 'errors' ('total' and 'byClass'), the 'levels' of the lines (null if there are none) and the time
+   * since the last data ('sinceData') and the last response ('sinceContact'), in milliseconds or null
+   */
+  snapshot() {
+    const now = Date.now();
+    this.prune(now);
+    const seconds = Math.min(this.window, now - this.createdAt) / 1000;
+    const sum = property => this._samples.reduce((total, sample) => total + (sample[property] || 0), 0);
+    const rate = total => seconds > 0 ? total / seconds : 0;
+    const latency = kind => {
+      const latencies = this._samples.filter(sample => sample.kind === kind).map(sample => sample.latency);
+      return {
+        count: this.requests[kind],
+        last: latencies.length > 0 ? latencies[latencies.length - 1] : null,
+        average: latencies.length > 0 ? latencies.reduce((a, b) => a + b, 0) / latencies.length : null,
+        max: latencies.length > 0 ? Math.max(...latencies) : null,
+      };
+    };
+    let levels = null;
+    this._samples.filter(sample => sample.levels).forEach(sample => {
+      levels = levels || {};
+      Object.keys(sample.levels).forEach(level => levels[level] = (levels[level] || 0) + sample.levels[level]);
+    });
+    return {
+      window: this.window,
+      bytes: {total: this.bytes, perSecond: rate(sum('bytes'))},
+      lines: {total: this.lines, perSecond: rate(sum('lines'))},
+      polls: Object.assign({}, this.polls),
+      requests: {head: latency('head'), range: latency('range')},
+      errors: {
+        total: Object.keys(this.errors).reduce((total, name) => total + this.errors[name], 0),
+        byClass: Object.assign({}, this.errors),
+      },
+      levels,
+      sinceData: this.lastDataAt === null ? null : now - this.lastDataAt,
+      sinceContact: this.lastContactAt === null ? null : now - this.lastContactAt,
+    };
+  }
+
+  /**
+   * Helper method for adding a sample to the window
+   * @param {object} sample
+   */
+  sample(sample) {
+    const now = Date.now();
+    sample.at = now;
+    this._samples.push(sample);
+    this.prune(now);
+  }
+
+  /**
+   * Helper method for dropping the samples that are older than the window
+   * @param {number} now
+   */
+  prune(now) {
+    const index = this._samples.findIndex(sample => sample.at > now - this.window);
+    this._samples.splice(0, index === -1 ? this._samples.length : index);
+  }
+}
@@ -0,0 +1,239 @@
+import LogTail, { DataAppendedEvent, ReconnectingEvent, ReconnectedEvent, GaveUpEvent } from './logtail.js';
+import AnsiRenderer from './ansi.js';
+
+const template = `
+  <style>
+    :host {
+      display: flex;
+      flex-direction: column;
+      height: 100%;
+      font-family: monospace;
+    }
+    .toolbar {
+      display: flex;
+      align-items: center;
+      gap: 0.5em;
+      padding: 0.25em;
+    }
+    .status::before {
+      content: '\\25CF';
+      margin-right: 0.25em;
+    }
+    .status[data-status="live"]::before {
+      color: green;
+    }
+    .status[data-status="reconnecting"]::before {
+      color: orange;
+    }
+    .status[data-status="disconnected"]::before {
+      color: red;
+    }
+    .status[data-status="paused"]::before {
+      color: gray;
+    }
+    .output {
+      flex: 1;
+      margin: 0;
+      overflow: auto;
+      white-space: pre-wrap;
+    }
+  </style>
+  <div class="toolbar" part="toolbar">
+    <button class="pause" part="pause-button" type="button">Pause</button>
+    <button class="clear" part="clear-button" type="button">Clear</button>
+    <span class="status" part="status"></span>
+  </div>
+  <pre class="output" part="output"></pre>
+`;
+
+const STATUS_LABELS = {
+  live: 'Live',
+  reconnecting: 'Reconnecting',
+  disconnected: 'Disconnected',
+  paused: 'Paused',
+};
+
+/**
+ * A custom element that tails a log with LogTail. The log is rendered as text, so its content can't inject markup.
+ * The output follows new data while it's scrolled to the bottom and stops following once the user scrolls up. With the
+ * data-ansi attribute, ANSI colors and styles are rendered via AnsiRenderer, which escapes the text. The
+ * data-transport attribute selects the transport of the LogTail, e.g. 'sse'
+ * @example
+ * <code>
+ *   <script type="module" src="/node_modules/logtail/tail-log.js"></script>
+ *   <tail-log data-url="/logs/test.log" data-poll-interval="1000" data-load-bytes="30720"></tail-log>
+ * </code>
+ */
+export class TailLogElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['data-url', 'data-poll-interval', 'data-load-bytes', 'data-ansi', 'data-transport'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({mode: 'open'}).innerHTML = template;
+    this._output = this.shadowRoot.querySelector('.output');
+    this._status = this.shadowRoot.querySelector('.status');
+    this._pauseButton = this.shadowRoot.querySelector('.pause');
+    this._followOutput = true;
+    this._output.addEventListener('scroll', () => this._followOutput = this.atBottom);
+    this._pauseButton.addEventListener('click', () => this.paused ? this.resume() : this.pause());
+    this.shadowRoot.querySelector('.clear').addEventListener('click', () => this.clear());
+  }
+
+  connectedCallback() {
+    this.start();
+  }
+
+  disconnectedCallback() {
+    this.stop();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (!this._tail || oldValue === newValue) {
+      return;
+    }
+    if (name === 'data-poll-interval') {
+      /* The running tail keeps what it has loaded */
+      const pollInterval = parseInt(newValue, 10);
+      this._tail.pollInterval = pollInterval > 0 ? pollInterval : undefined;
+    } else {
+      /* The new tail loads the end of the log again, so the output starts over */
+      this.stop();
+      this.clear();
+      this.start();
+    }
+  }
+
+  /**
+   * Creates the LogTail for the attributes of the element and starts polling
+   */
+  start() {
+    const opts = {url: this.dataset.url};
+    if (this.dataset.transport) {
+      opts.transport = this.dataset.transport;
+    }
+    const pollInterval = parseInt(this.dataset.pollInterval, 10);
+    const loadBytes = parseInt(this.dataset.loadBytes, 10);
+    if (pollInterval > 0) {
+      opts.pollInterval = pollInterval;
+    }
+    if (loadBytes > 0) {
+      opts.loadBytes = loadBytes;
+    }
+
+    this._renderer = this.hasAttribute('data-ansi') ? new AnsiRenderer() : null;
+    const tail = this._tail = new LogTail(opts);
+    tail.on(DataAppendedEvent.name, evt => {
+      this.append(evt.detail);
+      if (!this.paused) {
+        this.status = 'live';
+      }
+    });
+    tail.on(ReconnectingEvent.name, () => this.status = 'reconnecting');
+    tail.on(ReconnectedEvent.name, () => this.status = 'live');
+    tail.on(GaveUpEvent.name, () => this.status = 'disconnected');
+    this.status = 'live';
+    tail.start();
+  }
+
+  /**
+   * Stops polling and destroys the LogTail. The rendered output is kept
+   */
+  stop() {
+    if (this._tail) {
+      this._tail.destroy();
+      this._tail = null;
+    }
+  }
+
+  /**
+   * Stops polling until resume() is called
+   */
+  pause() {
+    if (this._tail) {
+      this._tail.pause();
+      this._pauseButton.textContent = 'Resume';
+      this.status = 'paused';
+    }
+  }
+
+  /**
+   * Continues polling after pause(). The data that was appended in the meantime is rendered right away
+   */
+  resume() {
+    if (this._tail && this.paused) {
+      this._pauseButton.textContent = 'Pause';
+      this.status = 'live';
+      this._tail.resume();
+    }
+  }
+
+  /**
+   * Removes the rendered output
+   */
+  clear() {
+    this._output.textContent = '';
+    this._followOutput = true;
+  }
+
+  /**
+   * Renders text at the end of the output and scrolls to it if the output is following new data
+   * @param {string} text
+   */
+  append(text) {
+    if (this._renderer) {
+      this._output.insertAdjacentHTML('beforeend', this._renderer.render(text));
+    } else {
+      this._output.appendChild(this.ownerDocument.createTextNode(text));
+    }
+    if (this._followOutput) {
+      this._output.scrollTop = this._output.scrollHeight;
+    }
+  }
+
+  /**
+   * @returns {boolean} True if the output is scrolled to the bottom
+   */
+  get atBottom() {
+    const output = this._output;
+    return output.scrollHeight - output.scrollTop - output.clientHeight <= 1;
+  }
+
+  /**
+   * @returns {boolean} True if polling was paused via pause()
+   */
+  get paused() {
+    return !!(this._tail && this._tail.paused);
+  }
+
+  /**
+   * @returns {LogTail|null} The LogTail of the element. Null if it's not connected
+   */
+  get tail() {
+    return this._tail || null;
+  }
+
+  /**
+   * @returns {string} The connection status: 'live', 'reconnecting', 'disconnected' or 'paused'
+   */
+  get status() {
+    return this.getAttribute('status');
+  }
+
+  set status(status) {
+    if (status === this.status) {
+      return;
+    }
+    this.setAttribute('status', status);
+    this._status.dataset.status = status;
+    this._status.textContent = STATUS_LABELS[status];
+    this.dispatchEvent(new CustomEvent('status-change', {detail: {status}}));
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('tail-log')) {
+  customElements.define('tail-log', TailLogElement);
+}
+
+export default TailLogElement;
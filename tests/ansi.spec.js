@@ -0,0 +1,81 @@
+import AnsiRenderer, { escapeHtml, stripAnsi } from '../ansi.js';
+const chai = require('chai');
+const expect = chai.expect;
+
+describe('ansi', function() {
+  describe('method #escapeHtml', function() {
+    it('should escape the HTML special characters', function() {
+      expect(escapeHtml('<a href="x">\'&\'</a>')).to.eq('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+  });
+  describe('method #stripAnsi', function() {
+    it('should remove SGR, cursor movement and OSC sequences', function() {
+      expect(stripAnsi('\x1b[1;31merror\x1b[0m \x1b[2K\x1b[1Adone\x1b]0;title\x07')).to.eq('error done');
+    });
+  });
+  describe('class AnsiRenderer', function() {
+    let renderer;
+    beforeEach(function() {
+      renderer = new AnsiRenderer();
+    });
+    it('should escape text without sequences', function() {
+      expect(renderer.render('<script>alert(1)</script>')).to.eq('&lt;script&gt;alert(1)&lt;/script&gt;');
+    });
+    it('should render the basic and bright colors', function() {
+      expect(renderer.render('\x1b[31mred\x1b[0m \x1b[92;44mgreen on blue\x1b[m'))
+        .to.eq('<span style="color:#cd0000">red</span> <span style="color:#00ff00;background-color:#0000ee">green on blue</span>');
+    });
+    it('should render 256 colors', function() {
+      expect(renderer.render('\x1b[38;5;196ma\x1b[38;5;244mb\x1b[48;5;4mc'))
+        .to.eq('<span style="color:rgb(255,0,0)">a</span><span style="color:rgb(128,128,128)">b</span>' +
+          '<span style="color:rgb(128,128,128);background-color:#0000ee">c</span>');
+    });
+    it('should render truecolor in both parameter forms', function() {
+      expect(renderer.render('\x1b[38;2;255;128;0;1ma')).to.eq('<span style="color:rgb(255,128,0);font-weight:bold">a</span>');
+      renderer.reset();
+      expect(renderer.render('\x1b[48:2::1:2:3mb')).to.eq('<span style="background-color:rgb(1,2,3)">b</span>');
+    });
+    it('should render bold, italic, underline and strikethrough and turn them off again', function() {
+      expect(renderer.render('\x1b[1;3;4;9ma\x1b[22;23;29mb\x1b[24mc'))
+        .to.eq('<span style="font-weight:bold;font-style:italic;text-decoration:underline line-through">a</span>' +
+          '<span style="text-decoration:underline">b</span>c');
+    });
+    it('should swap the colors when inverse', function() {
+      expect(renderer.render('\x1b[31;7ma')).to.eq('<span style="color:Canvas;background-color:#cd0000">a</span>');
+    });
+    it('should keep the style across chunks', function() {
+      // test
+      const first = renderer.render('\x1b[33mwarn ');
+      const second = renderer.render('still yellow\x1b[0m\n');
+      // verify
+      expect(first).to.eq('<span style="color:#cdcd00">warn </span>');
+      expect(second).to.eq('<span style="color:#cdcd00">still yellow</span>\n');
+    });
+    it('should complete a sequence that is split across chunks', function() {
+      // test
+      const first = renderer.render('a\x1b[3');
+      const second = renderer.render('1mb');
+      // verify
+      expect(first).to.eq('a');
+      expect(second).to.eq('<span style="color:#cd0000">b</span>');
+    });
+    it('should drop cursor movements and other sequences', function() {
+      expect(renderer.render('\x1b[2J\x1b[Hprogress\x1b[K\x1b]8;;http://example.com\x1b\\link\x1b]8;;\x1b\\\x1b7\x1b(B'))
+        .to.eq('progresslink');
+    });
+    it('should use the palette', function() {
+      // setup
+      renderer = new AnsiRenderer({palette: ['black', 'crimson']});
+      // test
+      expect(renderer.render('\x1b[31ma')).to.eq('<span style="color:crimson">a</span>');
+    });
+    it('should forget the style when reset', function() {
+      // setup
+      renderer.render('\x1b[31mred\x1b[');
+      // test
+      renderer.reset();
+      // verify
+      expect(renderer.render('plain')).to.eq('plain');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { run, parseArgs, describeError, exitCode, EXIT_CODES, UsageError } from '../cli.js';
+import { ResourceNotFoundError, LogFileTruncatedError, MissingHeaderError, FetchError } from '../logtail.js';
+import { waitFor } from './helpers.js';
+const chai = require('chai');
+const expect = chai.expect;
+const express = require('express');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const serveLogs = require('../middleware.cjs');
+
+/**
+ * Collects what's written to it
+ */
+function output() {
+  return {
+    text: '',
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+describe('parseArgs', function() {
+  it('should parse the url and options', function() {
+    // test
+    const args = parseArgs(['-n', '100', '--interval=500', 'http://localhost/app.log', '--grep', 'error', '-g', 'warn',
+      '-H', 'Authorization: Bearer abc', '--json']);
+    // verify
+    expect(args.url).to.eq('http://localhost/app.log');
+    expect(args.bytes).to.eq(100);
+    expect(args.interval).to.eq(500);
+    expect(args.grep).to.deep.eq([/error/, /warn/]);
+    expect(args.headers).to.deep.eq({Authorization: 'Bearer abc'});
+    expect(args.json).to.be.true;
+  });
+  it('should reject invalid arguments', function() {
+    // test & verify
+    expect(() => parseArgs([])).to.throw(UsageError, 'missing the url');
+    expect(() => parseArgs(['a', 'b'])).to.throw(UsageError, 'unexpected argument b');
+    expect(() => parseArgs(['--tail', 'a'])).to.throw(UsageError, 'unknown option --tail');
+    expect(() => parseArgs(['-n', '10k', 'a'])).to.throw(UsageError, 'positive integer');
+    expect(() => parseArgs(['-g', '(', 'a'])).to.throw(UsageError, 'invalid pattern');
+    expect(() => parseArgs(['a', '-H'])).to.throw(UsageError, 'requires a value');
+  });
+  it('should treat everything after -- as the url', function() {
+    // test & verify
+    expect(parseArgs(['--', '-app.log']).url).to.eq('-app.log');
+  });
+});
+
+describe('describeError and exitCode', function() {
+  it('should describe errors readably', function() {
+    // test & verify
+    expect(describeError(new ResourceNotFoundError('/app.log'))).to.eq('not found');
+    expect(describeError(new LogFileTruncatedError('', 100, 10))).to.eq('the log was truncated from 100 to 10 bytes');
+    expect(describeError(new MissingHeaderError('', 'Content-Range'))).to.contain('the Content-Range header is missing');
+    expect(describeError(new FetchError('Failed', new Error('ECONNREFUSED')))).to.eq('Failed: ECONNREFUSED');
+  });
+  it('should map errors to exit codes', function() {
+    // test & verify
+    expect(exitCode(new ResourceNotFoundError('/app.log'))).to.eq(EXIT_CODES.notFound);
+    expect(exitCode(new MissingHeaderError('', 'Content-Range'))).to.eq(EXIT_CODES.unsupported);
+    expect(exitCode(new LogFileTruncatedError(''))).to.eq(EXIT_CODES.truncated);
+    expect(exitCode(new Error())).to.eq(EXIT_CODES.error);
+  });
+});
+
+describe('run', function() {
+  let root;
+  let server;
+  let baseUrl;
+  let stdout;
+  let stderr;
+  let controller;
+  const start = opts => new Promise(resolve => {
+    const app = express();
+    app.set('env', 'test');
+    app.use('/logs', serveLogs(Object.assign({root}, opts)));
+    server = app.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/logs`;
+      resolve();
+    });
+  });
+  const cli = (...argv) => run(argv, {stdout, stderr, fetch, signal: controller.signal});
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'logtail-'));
+    fs.writeFileSync(path.join(root, 'app.log'), 'line 1\nerror 2\nline 3\n');
+    stdout = output();
+    stderr = output();
+    controller = new AbortController();
+  });
+  afterEach(function(done) {
+    controller.abort();
+    fs.readdirSync(root).forEach(name => fs.unwatchFile(path.join(root, name)));
+    fs.readdirSync(root).forEach(name => fs.unlinkSync(path.join(root, name)));
+    fs.rmdirSync(root);
+    if (server) {
+      server.closeAllConnections();
+      server.close(done);
+    } else {
+      done();
+    }
+    server = null;
+  });
+  it('should print the end of the log with --once', async function() {
+    // setup
+    await start();
+    // test
+    const code = await cli('--once', `${baseUrl}/app.log`);
+    // verify
+    expect(code).to.eq(EXIT_CODES.ok);
+    expect(stdout.text).to.eq('line 1\nerror 2\nline 3\n');
+    expect(stderr.text).to.eq('');
+  });
+  it('should print the matching lines as JSON', async function() {
+    // setup
+    await start();
+    // test
+    const code = await cli('--once', '--json', '--grep', 'error', `${baseUrl}/app.log`);
+    // verify
+    expect(code).to.eq(EXIT_CODES.ok);
+    expect(stdout.text).to.eq('{"text":"error 2","byteOffset":7,"lineNumber":2}\n');
+  });
+  it('should send the headers', async function() {
+    // setup
+    await start({authorize: req => req.get('Authorization') === 'Bearer abc'});
+    // test
+    const denied = await cli('--once', `${baseUrl}/app.log`);
+    const allowed = await cli('--once', '-H', 'Authorization: Bearer abc', `${baseUrl}/app.log`);
+    // verify
+    expect(denied).to.eq(EXIT_CODES.error);
+    expect(stderr.text).to.contain('the server responded with 403');
+    expect(allowed).to.eq(EXIT_CODES.ok);
+    expect(stdout.text).to.eq('line 1\nerror 2\nline 3\n');
+  });
+  it('should exit if the log does not exist', async function() {
+    // setup
+    await start();
+    // test
+    const code = await cli(`${baseUrl}/missing.log`);
+    // verify
+    expect(code).to.eq(EXIT_CODES.notFound);
+    expect(stderr.text).to.eq(`logtail: ${baseUrl}/missing.log: not found\n`);
+  });
+  it('should print the usage for invalid arguments', async function() {
+    // test
+    const code = await cli('--bytes');
+    // verify
+    expect(code).to.eq(EXIT_CODES.usage);
+    expect(stderr.text).to.contain('logtail: option --bytes requires a value');
+    expect(stderr.text).to.contain('Usage: logtail');
+  });
+  it('should follow the log until it is stopped', async function() {
+    // setup
+    await start();
+    const running = cli('-i', '20', `${baseUrl}/app.log`);
+    await waitFor(() => stdout.text.length > 0);
+    // test
+    fs.appendFileSync(path.join(root, 'app.log'), 'line 4\n');
+    await waitFor(() => stdout.text.includes('line 4'));
+    controller.abort();
+    // verify
+    expect(await running).to.eq(EXIT_CODES.ok);
+    expect(stdout.text).to.eq('line 1\nerror 2\nline 3\nline 4\n');
+  });
+  it('should follow a local file and report truncation', async function() {
+    // setup
+    const file = path.join(root, 'app.log');
+    const running = cli('-i', '20', file);
+    await waitFor(() => stdout.text.length > 0);
+    // test
+    fs.writeFileSync(file, 'new 1\n');
+    await waitFor(() => stdout.text.includes('new 1'));
+    controller.abort();
+    // verify
+    expect(await running).to.eq(EXIT_CODES.ok);
+    expect(stdout.text).to.eq('line 1\nerror 2\nline 3\nnew 1\n');
+    expect(stderr.text).to.eq(`logtail: ${file}: file truncated\n`);
+  });
+});
@@ -0,0 +1,106 @@
+import LogTail from '../logtail.js';
+import { EXPORTERS, downloadExport, writeExport } from '../exporters.js';
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+const { JSDOM } = require('jsdom');
+const { PassThrough } = require('stream');
+
+describe('exportLog', function() {
+  let sandbox;
+  let tail;
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.useFakeTimers(new Date('2024-01-02T03:04:05Z'));
+    tail = new LogTail({url: '/logs/app.log?v=1', lineMode: true});
+    tail.receiveText('GET / 200\nGET /a 500\nGET /b 200\n', 100);
+  });
+  afterEach(function() {
+    tail.destroy();
+    sandbox.restore();
+  });
+  it('should export the whole buffer as text with a header', function() {
+    // test
+    const exported = tail.exportLog();
+    // verify
+    expect(exported.content).to.eq([
+      '# url: /logs/app.log?v=1',
+      '# bytes: 100-130',
+      '# lines: 1-3',
+      '# captured: 2024-01-02T03:04:05.000Z',
+      'GET / 200',
+      'GET /a 500',
+      'GET /b 200',
+      '',
+    ].join('\n'));
+    expect(exported.type).to.eq('text/plain');
+    expect(exported.filename).to.eq('app-2024-01-02T03-04-05-000Z.log');
+    expect(exported.header).to.include({url: '/logs/app.log?v=1', count: 3, filter: null});
+  });
+  it('should export a range of bytes or lines', function() {
+    // test & verify
+    expect(tail.exportLog({bytes: {start: 112, end: 121}, header: false}).content).to.eq('GET /a 500\nGET /b 200\n');
+    expect(tail.exportLog({bytes: {end: 109}, header: false}).content).to.eq('GET / 200\n');
+    const exported = tail.exportLog({lines: {start: 2, end: 2}});
+    expect(exported.header.bytes).to.deep.eq({start: 110, end: 119});
+    expect(exported.header.lines).to.deep.eq({start: 2, end: 2});
+  });
+  it('should only export the lines that match the filters', function() {
+    // test
+    const exported = tail.exportLog({filter: [/^GET/, '500']});
+    // verify
+    expect(exported.content).to.contain('# filter: /^GET/, 500\nGET /a 500\n');
+    expect(exported.header.count).to.eq(1);
+  });
+  it('should export the records as ndjson', function() {
+    // setup
+    tail.parser = 'clf';
+    // test
+    const lines = tail.exportLog({format: 'ndjson', lines: {start: 1, end: 1}}).content.trim().split('\n').map(JSON.parse);
+    // verify
+    expect(lines[0].header).to.include({url: '/logs/app.log?v=1', capturedAt: '2024-01-02T03:04:05.000Z', count: 1});
+    expect(lines[1]).to.include({text: 'GET / 200', byteOffset: 100, lineNumber: 1});
+    expect(lines[1].record).to.include({parseError: true, error: 'Line is not in the common log format'});
+  });
+  it('should export an HTML snapshot', function() {
+    // setup
+    tail.receiveText('\x1b[31m<error>\x1b[0m\n', 132);
+    // test
+    const exported = tail.exportLog({format: 'html', lines: {start: 4}});
+    // verify
+    expect(exported.type).to.eq('text/html');
+    expect(exported.content).to.contain('<title>/logs/app.log?v=1</title>');
+    expect(exported.content).to.contain('<dt>bytes</dt><dd>132-147</dd>');
+    expect(exported.content).to.contain('<span class="line" data-line-number="4" data-byte-offset="132"><span style="color:#cd0000">&lt;error&gt;</span></span>');
+  });
+  it('should reject unknown formats', function() {
+    expect(() => tail.exportLog({format: 'pdf'})).to.throw(TypeError, `Option 'format' must be one of ${Object.keys(EXPORTERS).join(', ')}, not pdf`);
+  });
+  it('should write the export to a stream', async function() {
+    // setup
+    const stream = new PassThrough();
+    // test
+    const exported = await writeExport(tail, stream, {header: false});
+    // verify
+    expect(stream.read().toString()).to.eq('GET / 200\nGET /a 500\nGET /b 200\n');
+    expect(exported.header.count).to.eq(3);
+  });
+  it('should download the export in the browser', function() {
+    // setup
+    const dom = new JSDOM('<!DOCTYPE html><body></body>');
+    const click = sandbox.stub(dom.window.HTMLAnchorElement.prototype, 'click');
+    global.document = dom.window.document;
+    sandbox.stub(URL, 'createObjectURL').returns('blob:export');
+    const revoke = sandbox.stub(URL, 'revokeObjectURL');
+    // test
+    downloadExport(tail, {filename: 'ticket.log'});
+    sandbox.clock.tick(0);
+    // verify
+    sinon.assert.calledOnce(click);
+    expect(click.firstCall.thisValue.download).to.eq('ticket.log');
+    expect(click.firstCall.thisValue.href).to.eq('blob:export');
+    expect(dom.window.document.querySelector('a')).to.be.null;
+    sinon.assert.calledWith(revoke, 'blob:export');
+    delete global.document;
+  });
+});
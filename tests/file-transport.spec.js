@@ -0,0 +1,95 @@
+import LogTail, { DataAppendedEvent, LinesAppendedEvent, TruncatedEvent, RotatedEvent, ResourceNotFoundError, ReconnectedEvent } from '../logtail.js';
+import FileTransport from '../file-transport.js';
+import { waitFor } from './helpers.js';
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('FileTransport', function() {
+  let root;
+  let file;
+  let tail;
+  let appended;
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'logtail-'));
+    file = path.join(root, 'app.log');
+    fs.writeFileSync(file, 'line 1\nline 2\n');
+    tail = new LogTail({url: file, transport: 'file', pollInterval: 20, loadBytes: 10});
+    appended = [];
+    tail.on(DataAppendedEvent.name, evt => appended.push(evt.detail));
+  });
+  afterEach(function() {
+    tail.paused = true;
+    fs.readdirSync(root).forEach(name => fs.unlinkSync(path.join(root, name)));
+    fs.rmdirSync(root);
+  });
+  it('should be registered as file', function() {
+    expect(tail.transport).to.be.instanceOf(FileTransport);
+  });
+  it('should tail the end of a local file', async function() {
+    // setup
+    const lines = [];
+    tail.lineMode = true;
+    tail.on(LinesAppendedEvent.name, evt => lines.push(...evt.detail));
+    // test
+    tail.f();
+    await waitFor(() => appended.length === 1);
+    fs.appendFileSync(file, 'line 3\n');
+    await waitFor(() => appended.length === 2);
+    // verify
+    expect(appended).to.deep.eq(['line 2\n', 'line 3\n']);
+    expect(lines.map(line => line.byteOffset)).to.deep.eq([7, 14]);
+    expect(tail.earliestOffset).to.eq(7);
+    expect(tail.logFileSize).to.eq(21);
+  });
+  it('should re-sync with the file after it was truncated', async function() {
+    // setup
+    const truncated = [];
+    tail.on(TruncatedEvent.name, evt => truncated.push(evt.detail));
+    tail.f();
+    await waitFor(() => appended.length === 1);
+    // test
+    fs.truncateSync(file, 0);
+    await waitFor(() => truncated.length === 1);
+    fs.appendFileSync(file, 'new\n');
+    await waitFor(() => appended.length === 2);
+    // verify
+    expect(truncated).to.deep.eq([{oldSize: 14, newSize: 0}]);
+    expect(appended).to.deep.eq(['line 2\n', 'new\n']);
+  });
+  it('should emit the rest of a rotated file before following the new file', async function() {
+    // setup
+    const events = [];
+    tail.on(DataAppendedEvent.name, evt => events.push(evt.detail));
+    tail.on(RotatedEvent.name, evt => events.push(evt.type));
+    tail.f();
+    await waitFor(() => events.length === 1);
+    // test
+    fs.appendFileSync(file, 'line 3\n');
+    fs.renameSync(file, `${file}.1`);
+    fs.writeFileSync(file, 'new\n');
+    await waitFor(() => events.length === 4);
+    // verify
+    expect(events).to.deep.eq(['line 2\n', 'line 3\n', 'rotated', 'new\n']);
+  });
+  it('should retry until the file exists', async function() {
+    // setup
+    const errors = [];
+    const reconnected = [];
+    tail.retry = {jitter: 0, fatalErrors: []};
+    tail.on('error', error => errors.push(error));
+    tail.on(ReconnectedEvent.name, evt => reconnected.push(evt.detail));
+    fs.unlinkSync(file);
+    // test
+    tail.f();
+    await waitFor(() => errors.length === 1);
+    fs.writeFileSync(file, 'created\n');
+    await waitFor(() => appended.length === 1);
+    // verify
+    expect(errors[0]).to.be.instanceOf(ResourceNotFoundError);
+    expect(appended).to.deep.eq(['created\n']);
+    expect(reconnected.length).to.eq(1);
+  });
+});
@@ -1,7 +1,3 @@
 // some globals to help the unit tests run
-global.CustomEvent = function(event, params) {
-  this.name = event;
-  Object.assign(this, params);
-};
 // fetch mock
-global.fetch = require('node-fetch');
\ No newline at end of file
+global.fetch = require('node-fetch');
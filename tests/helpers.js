@@ -0,0 +1,20 @@
+// helpers shared by the unit tests
+
+/**
+ * Resolves once the condition is true
+ */
+export function waitFor(condition) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (condition()) {
+        resolve();
+      } else if (Date.now() - started > 1500) {
+        reject(new Error('Timed out'));
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+    check();
+  });
+}
@@ -0,0 +1,133 @@
+import LogTail, { FetchError } from '../logtail.js';
+import LogTailGroup, { EntriesAppendedEvent, SourceErrorEvent } from '../log-tail-group.js';
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+
+/**
+ * @param {string} time
+ * @param {string} msg
+ * @returns {object} An ndjson line
+ */
+function line(time, msg, lineNumber = 1) {
+  return {text: JSON.stringify({time, msg}), byteOffset: 0, lineNumber};
+}
+
+describe('LogTailGroup', function() {
+  let sandbox;
+  let clock;
+  let group;
+  let merged;
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    clock = sandbox.useFakeTimers();
+    group = new LogTailGroup({
+      reorderWindow: 500,
+      sources: {
+        web1: {url: '/web1/app.log', parser: 'ndjson'},
+        web2: {url: '/web2/app.log', parser: 'ndjson'},
+      },
+    });
+    merged = [];
+    group.on(EntriesAppendedEvent.name, evt => merged.push(...evt.detail));
+    group.tails.forEach(tail => sandbox.stub(tail, 'start'));
+  });
+  afterEach(function() {
+    group.destroy();
+    sandbox.restore();
+  });
+  it('should merge the lines of all sources by timestamp', function() {
+    // test
+    group.get('web1').emitLines([line('2024-01-01T00:00:01Z', 'a'), line('2024-01-01T00:00:03Z', 'c', 2)]);
+    clock.tick(200);
+    group.get('web2').emitLines([line('2024-01-01T00:00:02Z', 'b')]);
+    clock.tick(299);
+    // verify
+    expect(merged).to.be.empty;
+    clock.tick(1);
+    expect(merged.map(entry => entry.record.message)).to.deep.eq(['a']);
+    clock.tick(200);
+    expect(merged.map(entry => entry.record.message)).to.deep.eq(['a', 'b', 'c']);
+    expect(merged.map(entry => entry.source)).to.deep.eq(['web1', 'web2', 'web1']);
+    expect(merged[2]).to.include({source: 'web1', lineNumber: 2});
+    expect(merged[2].timestamp).to.deep.eq(new Date('2024-01-01T00:00:03Z'));
+  });
+  it('should hold back later lines until the earlier ones are released', function() {
+    // setup
+    group.get('web1').emitLines([line('2024-01-01T00:00:02Z', 'b')]);
+    clock.tick(400);
+    group.get('web2').emitLines([line('2024-01-01T00:00:01Z', 'a')]);
+    // test
+    clock.tick(100);
+    // verify
+    expect(merged).to.be.empty;
+    clock.tick(400);
+    expect(merged.map(entry => entry.record.message)).to.deep.eq(['a', 'b']);
+  });
+  it('should order lines without a timestamp by the time they were received', function() {
+    // setup
+    group.add('plain', {url: '/plain.log'});
+    sandbox.stub(group.get('plain'), 'start');
+    group.get('web1').emitLines([line('not a time', 'a')]);
+    clock.tick(100);
+    // test
+    group.get('plain').emitLines([{text: 'b', byteOffset: 0, lineNumber: 1}]);
+    group.flush();
+    // verify
+    expect(merged.map(entry => entry.source)).to.deep.eq(['web1', 'plain']);
+    expect(merged[1]).to.deep.eq({source: 'plain', text: 'b', byteOffset: 0, lineNumber: 1, timestamp: null, record: null});
+  });
+  it('should emit the errors of the sources', function() {
+    // setup
+    const error = new FetchError('Failed');
+    const errors = [];
+    group.on(SourceErrorEvent.name, evt => errors.push(evt.detail));
+    // test
+    group.get('web2').emit('error', error);
+    // verify
+    expect(errors).to.deep.eq([{source: 'web2', error}]);
+  });
+  it('should add and remove sources at runtime', function() {
+    // setup
+    group.start();
+    const tail = new LogTail({url: '/web3/app.log'});
+    const start = sandbox.stub(tail, 'start');
+    const destroy = sandbox.spy(group.get('web1'), 'destroy');
+    // test
+    expect(group.add('web3', tail)).to.eq(tail);
+    expect(group.remove('web1')).to.be.true;
+    expect(group.remove('web1')).to.be.false;
+    // verify
+    expect(start.calledOnce).to.be.true;
+    expect(tail.lineMode).to.be.true;
+    expect(destroy.calledOnce).to.be.true;
+    expect(group.names).to.deep.eq(['web2', 'web3']);
+    expect(() => group.add('web2', {url: '/other.log'})).to.throw(Error, 'already a source named web2');
+  });
+  it('should pause and resume a single source or all of them', function() {
+    // setup
+    const pause = group.tails.map(tail => sandbox.stub(tail, 'pause'));
+    const resume = group.tails.map(tail => sandbox.stub(tail, 'resume'));
+    // test
+    group.pause('web2');
+    group.resume();
+    // verify
+    expect(pause.map(stub => stub.callCount)).to.deep.eq([0, 1]);
+    expect(resume.map(stub => stub.callCount)).to.deep.eq([1, 1]);
+    expect(() => group.pause('web3')).to.throw(Error, 'no source named web3');
+  });
+  it('should emit the lines that are held back when it is stopped', function() {
+    // setup
+    group.get('web1').emitLines([line('2024-01-01T00:00:01Z', 'a')]);
+    group.tails.forEach(tail => sandbox.stub(tail, 'stop'));
+    // test
+    group.stop();
+    // verify
+    expect(merged).to.have.lengthOf(1);
+  });
+  it('should validate the reorder window', function() {
+    // test & verify
+    expect(() => group.reorderWindow = -1).to.throw(TypeError, `Property 'reorderWindow' must be a number >= 0, not -1`);
+    expect(new LogTailGroup().reorderWindow).to.eq(1000);
+  });
+});
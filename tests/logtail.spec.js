@@ -1,9 +1,61 @@
-import LogTail, { MissingHeaderError, LogFileTruncatedError, UnexpectedServerResponseError, FetchError, DataAppendedEvent, MissingContentLengthHeaderError, ResourceNotFoundError, HeadRequestError } from './logtail.mjs';
+import LogTail, { MissingHeaderError, LogFileTruncatedError, UnexpectedServerResponseError, FetchError, DataAppendedEvent, LinesAppendedEvent, RecordsAppendedEvent, MissingContentLengthHeaderError, ResourceNotFoundError, HeadRequestError, ServerResponseTooLongError, TruncatedEvent, RotatedEvent, DataPrependedEvent, EvictedEvent, FiltersChangedEvent, AlertEvent, Non206ResponseError, ReconnectingEvent, ReconnectedEvent, GaveUpEvent, StateChangeEvent, CatchUpEvent, StatsEvent, MemoryAdapter, MULTILINE_PRESETS } from './logtail.mjs';
 const chai = require('chai');
 const expect = chai.expect;
 const sinon = require('sinon');
 chai.use(require('chai-as-promised'));
 
+const encode = text => new TextEncoder().encode(text);
+
+/**
+ * Creates a fake fetch response
+ */
+function mockResponse(status, headers={}, body='') {
+  const names = Object.keys(headers);
+  const find = name => names.find(header => header.toLowerCase() === name.toLowerCase());
+  const response = {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: {
+      get: name => find(name) ? headers[find(name)] : null,
+      has: name => !!find(name),
+      keys: () => names[Symbol.iterator](),
+      forEach: callback => names.forEach(name => callback(headers[name], name)),
+    },
+    arrayBuffer: () => Promise.resolve((typeof body === 'string' ? encode(body) : body.slice()).buffer),
+    clone: () => response,
+  };
+  return response;
+}
+
+/**
+ * Creates a fake fetch that serves the files in the provided map like a server that consumes the Range header. The
+ * files can be changed between requests
+ */
+function serveFiles(files) {
+  return async (url, opts={}) => {
+    const file = files[url];
+    if (!file) {
+      return mockResponse(404);
+    }
+    const bytes = encode(file.content);
+    const headers = file.etag ? {ETag: file.etag} : {};
+    if (opts.method === 'HEAD') {
+      return mockResponse(200, Object.assign({'Content-Length': bytes.length}, headers));
+    }
+    const [, start, end] = /^bytes=([0-9]*)-([0-9]*)$/.exec(opts.headers.Range);
+    const from = start === '' ? Math.max(bytes.length - end, 0) : start * 1;
+    const to = start === '' || end === '' ? bytes.length - 1 : Math.min(end * 1, bytes.length - 1);
+    if (from >= bytes.length) {
+      return mockResponse(416, Object.assign({'Content-Range': `bytes */${bytes.length}`}, headers));
+    }
+    return mockResponse(206, Object.assign({
+      'Content-Range': `bytes ${from}-${to}/${bytes.length}`,
+      'Content-Length': to - from + 1,
+    }, headers), bytes.subarray(from, to + 1));
+  };
+}
+
 describe('LogTail', function() {
   const sandbox = sinon.createSandbox();
   let tail;
@@ -19,9 +71,9 @@ describe('LogTail', function() {
     }
   });
   describe('method #sendRangeRequest', function() {
-    it('should send a request with the requested range to the correct url, set the current file length, and return the text from the response', async function() {
+    it('should send a request with the requested range to the correct url, set the current file length, and return the bytes from the response', async function() {
       // setup
-      const stub = sandbox.stub(global, 'fetch').returns(Promise.resolve({ok: true, clone: () => ({headers: {get: () => 500}, status: 200, text: () => Promise.resolve('fake text')})}));
+      const stub = sandbox.stub(global, 'fetch').returns(Promise.resolve({ok: true, clone: () => ({headers: {get: () => 500}, status: 200, arrayBuffer: () => Promise.resolve(encode('fake text').buffer)})}));
       // test
       const text = await tail.sendRangeRequest('0-67');
       // verify
@@ -32,7 +84,8 @@ describe('LogTail', function() {
         }),
       }));
       expect(tail.logFileSize).to.eq(500);
-      expect(text).to.eq('fake text');
+      expect(text).to.be.instanceOf(Uint8Array);
+      expect(text).to.deep.eq(encode('fake text'));
     });
     it('should set the file size to the new size in the content-range header', async function() {
       // setup
@@ -49,7 +102,7 @@ describe('LogTail', function() {
             }
           },
           status: 206,
-          text: () => Promise.resolve('some data')
+          arrayBuffer: () => Promise.resolve(encode('some data').buffer)
         })
       }));
       // test
@@ -71,7 +124,7 @@ describe('LogTail', function() {
             keys: () => []
           },
           status: 206,
-          text: () => Promise.resolve('some data')
+          arrayBuffer: () => Promise.resolve(encode('some data').buffer)
         })
       }));
       // test
@@ -97,7 +150,7 @@ describe('LogTail', function() {
             keys: () => []
           },
           status: 416,
-          text: () => Promise.resolve('some data')
+          arrayBuffer: () => Promise.resolve(encode('some data').buffer)
         })
       }));
       // test
@@ -123,7 +176,7 @@ describe('LogTail', function() {
             keys: () => []
           },
           status: 500,
-          text: () => Promise.resolve('some data')
+          arrayBuffer: () => Promise.resolve(encode('some data').buffer)
         })
       }));
       // test
@@ -177,7 +230,7 @@ describe('LogTail', function() {
     it('should return the data excluding the first byte', async function() {
       // setup
       sandbox.stub(tail, 'getRange').returns(Promise.resolve('0-'));
-      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve('some data'));
+      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve(encode('some data')));
       tail._firstLoad = false;
       // test
       const content = await tail.getLog();
@@ -187,7 +240,7 @@ describe('LogTail', function() {
     it('should append to the cached data', async function() {
       // setup
       sandbox.stub(tail, 'getRange').returns(Promise.resolve('0-'));
-      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve('some data'));
+      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve(encode('some data')));
       tail._firstLoad = false;
       tail._logData = 'test';
       // test
@@ -198,7 +251,7 @@ describe('LogTail', function() {
     it('should return the full, initial response', async function() {
       // setup
       sandbox.stub(tail, 'getRange').returns(Promise.resolve('0-'));
-      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve('some large blob'));
+      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve(encode('some large blob')));
       tail._firstLoad = true;
       // test
       const content = await tail.getLog();
@@ -206,6 +259,64 @@ describe('LogTail', function() {
       expect(content).to.eq('some large blob');
       expect(tail.logData).to.eq('some large blob');
     });
+    it('should clip the leading partial line of the initial response if it is not the whole file', async function() {
+      // setup
+      sandbox.stub(tail, 'getRange').returns(Promise.resolve('-12'));
+      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve(encode('tial\nline 2\n')));
+      tail._logFileSize = 100;
+      tail._firstLoad = true;
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('line 2\n');
+      expect(tail._appendedOffset).to.eq(93);
+    });
+    it('should skip the tail of a multi-byte character at the start of an initial response without a line break', async function() {
+      // setup
+      const bytes = encode('\u4e16\u754c');
+      sandbox.stub(tail, 'getRange').returns(Promise.resolve('-4'));
+      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve(bytes.subarray(2)));
+      tail._logFileSize = 6;
+      tail._firstLoad = true;
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('\u754c');
+    });
+    it('should skip the tail of a multi-byte character where the served range starts', async function() {
+      // setup
+      sandbox.stub(global, 'fetch').callsFake(serveFiles({'/logs/file.log': {content: '\u4e16\u754c'}}));
+      tail.loadBytes = 4;
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('\u754c');
+      expect(tail.logFileSize).to.eq(6);
+    });
+    it('should reassemble multi-byte characters that are split across responses', async function() {
+      // setup
+      const bytes = encode('a\ud83d\ude00b \u65e5\u672c\n');
+      const sendRangeRequest = sandbox.stub(tail, 'sendRangeRequest');
+      sendRangeRequest.onFirstCall().callsFake(async () => (tail._logFileSize = 3) && bytes.subarray(0, 3));
+      sendRangeRequest.onSecondCall().callsFake(async () => (tail._logFileSize = 8) && bytes.subarray(2, 8));
+      sendRangeRequest.onThirdCall().callsFake(async () => (tail._logFileSize = bytes.length) && bytes.subarray(7));
+      sandbox.stub(tail, 'requestLogSize').returns(Promise.resolve(3));
+      // test
+      const contents = [await tail.getLog(), await tail.getLog(), await tail.getLog()];
+      // verify
+      expect(contents).to.deep.eq(['a', '\ud83d\ude00b ', '\u65e5\u672c\n']);
+      expect(tail.logData).to.eq('a\ud83d\ude00b \u65e5\u672c\n');
+      expect(tail._appendedOffset).to.eq(7);
+    });
+    it('should throw ServerResponseTooLongError if the initial response is longer than loadBytes in bytes', async function() {
+      // setup
+      tail.loadBytes = 4;
+      sandbox.stub(tail, 'getRange').returns(Promise.resolve('-4'));
+      sandbox.stub(tail, 'sendRangeRequest').returns(Promise.resolve(encode('\u00e9\u00e9\u00e9')));
+      tail._firstLoad = true;
+      // test
+      await expect(tail.getLog()).to.be.rejectedWith(ServerResponseTooLongError);
+    });
   });
   describe('method #poll', function() {
     it('should emit an event when the data is retrieved', async function() {
@@ -281,6 +392,7 @@ describe('LogTail', function() {
         const spy = sandbox.spy(tail, 'poll');
         const testError = new Error();
         sandbox.stub(tail, 'getLog')
+          .returns(Promise.resolve(''))
           .onFirstCall()
           .returns(Promise.resolve('test'))
           .onSecondCall()
@@ -316,6 +428,1670 @@ describe('LogTail', function() {
       sinon.assert.notCalled(stub);
     });
   });
+  describe('method #bufferLines', function() {
+    afterEach(function() {
+      clearTimeout(tail._lineFlushTimer);
+    });
+    it('should emit complete lines with their byte offsets and line numbers', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('first\nsecond\r\n', 100);
+      // verify
+      sinon.assert.calledOnce(stub);
+      sinon.assert.calledWith(stub, sinon.match({
+        detail: [
+          {text: 'first', byteOffset: 100, lineNumber: 1},
+          {text: 'second', byteOffset: 106, lineNumber: 2},
+        ],
+      }));
+    });
+    it('should hold back a trailing partial line until the rest of it arrives', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('first\nsec', 0);
+      tail.bufferLines('ond\n', 10);
+      // verify
+      sinon.assert.calledTwice(stub);
+      sinon.assert.calledWith(stub.secondCall, sinon.match({
+        detail: [{text: 'second', byteOffset: 6, lineNumber: 2}],
+      }));
+    });
+    it('should count multi-byte characters in the byte offsets', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('h\u00e9llo\nworld\n', 0);
+      // verify
+      expect(stub.firstCall.args[0].detail[1].byteOffset).to.eq(7);
+    });
+    it('should not emit an event if there is no complete line', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      const lines = tail.bufferLines('partial', 0);
+      // verify
+      expect(lines).to.be.empty;
+      sinon.assert.notCalled(stub);
+    });
+    it('should flush the partial line once the flush timeout expires', function() {
+      // setup
+      const clock = sandbox.useFakeTimers();
+      const stub = sandbox.stub();
+      tail.lineFlushTimeout = 500;
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('partial', 20);
+      clock.tick(499);
+      sinon.assert.notCalled(stub);
+      clock.tick(1);
+      // verify
+      sinon.assert.calledWith(stub, sinon.match({
+        detail: [{text: 'partial', byteOffset: 20, lineNumber: 1}],
+      }));
+    });
+    it('should not flush the partial line if the flush timeout is 0', function() {
+      // setup
+      const clock = sandbox.useFakeTimers();
+      const stub = sandbox.stub();
+      tail.lineFlushTimeout = 0;
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('partial', 20);
+      clock.tick(10000);
+      // verify
+      sinon.assert.notCalled(stub);
+    });
+  });
+  describe('line mode', function() {
+    it('should emit lines from polled data when enabled', async function() {
+      // setup
+      const stub = sandbox.stub();
+      sandbox.stub(tail, 'getLog').returns(Promise.resolve('one\ntwo\n'));
+      tail._appendedOffset = 100;
+      tail.lineMode = true;
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledWith(stub, sinon.match({
+        detail: [
+          {text: 'one', byteOffset: 100, lineNumber: 1},
+          {text: 'two', byteOffset: 104, lineNumber: 2},
+        ],
+      }));
+    });
+    it('should not emit lines when disabled', async function() {
+      // setup
+      const stub = sandbox.stub();
+      sandbox.stub(tail, 'getLog').returns(Promise.resolve('one\ntwo\n'));
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.notCalled(stub);
+    });
+    it('should reject an invalid flush timeout', function() {
+      expect(() => tail.lineFlushTimeout = -1).to.throw(TypeError);
+    });
+  });
+  describe('rotation and truncation', function() {
+    let files;
+    beforeEach(async function() {
+      files = {
+        '/logs/file.log': {content: 'line 1\nline 2\n', etag: '"1"'},
+      };
+      sandbox.stub(global, 'fetch').callsFake(serveFiles(files));
+      await tail.getLog();
+    });
+    it('should re-sync with the file and emit TruncatedEvent when the server responds with 416', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(TruncatedEvent.name, stub);
+      files['/logs/file.log'].content = 'new\n';
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('new\n');
+      expect(tail.logFileSize).to.eq(4);
+      sinon.assert.calledWith(stub, sinon.match({detail: {oldSize: 14, newSize: 4}}));
+    });
+    it('should emit TruncatedEvent when the total in the content-range shrinks', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(TruncatedEvent.name, stub);
+      global.fetch.callsFake(async (url, opts) => opts.method === 'HEAD' || opts.headers.Range !== 'bytes=13-' ?
+        serveFiles(files)(url, opts) :
+        mockResponse(206, {'Content-Range': 'bytes 13-13/10', 'Content-Length': 1}, '\n'));
+      files['/logs/file.log'].content = 'new line\n';
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('new line\n');
+      sinon.assert.calledWith(stub, sinon.match({detail: {oldSize: 14, newSize: 9}}));
+    });
+    it('should re-sync with the file and emit RotatedEvent when the last byte we have changed', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(RotatedEvent.name, stub);
+      files['/logs/file.log'].content = 'a much longer new file\n';
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('a much longer new file\n');
+      sinon.assert.calledWith(stub, sinon.match({detail: {oldSize: 14, newSize: 23}}));
+    });
+    it('should load a new file that is larger than loadBytes from its start', async function() {
+      // setup
+      tail.loadBytes = 20;
+      files['/logs/file.log'].content = Array.from({length: 10}, (_, i) => `new line ${i}\n`).join('');
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq(files['/logs/file.log'].content);
+      expect(tail.earliestOffset).to.eq(0);
+      expect(tail.bufferedLines().slice(-1)[0]).to.deep.eq({text: 'new line 9', byteOffset: 99});
+    });
+    it('should load at most maxCatchUpBytes of the new file, from a line boundary on', async function() {
+      // setup
+      tail.maxCatchUpBytes = 15;
+      files['/logs/file.log'].content = 'new line 0\nnew line 1\nnew line 2\n';
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('new line 2\n');
+      expect(tail.earliestOffset).to.eq(22);
+      expect(tail.startReached).to.be.false;
+      expect(tail.logFileSize).to.eq(33);
+    });
+    it('should emit RotatedEvent when one of the identity headers changed', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.identityHeaders = ['ETag'];
+      await tail.getLog();
+      tail.on(RotatedEvent.name, stub);
+      files['/logs/file.log'] = {content: 'line 1\nline 2\nline 3\n', etag: '"2"'};
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('line 1\nline 2\nline 3\n');
+      sinon.assert.calledOnce(stub);
+    });
+    it('should not emit RotatedEvent when the file grows', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.identityHeaders = ['ETag'];
+      tail.on(RotatedEvent.name, stub);
+      tail.on(TruncatedEvent.name, stub);
+      files['/logs/file.log'].content += 'line 3\n';
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('line 3\n');
+      sinon.assert.notCalled(stub);
+    });
+    it('should emit the rest of the rotated file before re-syncing', async function() {
+      // setup
+      const events = [];
+      tail.rotatedUrl = url => `${url}.1`;
+      tail.on(DataAppendedEvent.name, evt => events.push(evt.detail));
+      tail.on(RotatedEvent.name, evt => events.push(evt.type));
+      files['/logs/file.log.1'] = {content: 'line 1\nline 2\nline 3\n'};
+      files['/logs/file.log'].content = 'line 4 is the first of the new file\n';
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(events).to.deep.eq(['line 3\n', 'rotated']);
+      expect(content).to.eq('line 4 is the first of the new file\n');
+      expect(tail.logData).to.eq('line 1\nline 2\nline 3\nline 4 is the first of the new file\n');
+    });
+    it('should throw LogFileTruncatedError if it does not follow rotation', async function() {
+      // setup
+      tail.followRotation = false;
+      files['/logs/file.log'].content = 'new\n';
+      // test
+      const error = await tail.getLog().catch(e => e);
+      // verify
+      expect(error).to.be.instanceOf(LogFileTruncatedError);
+      expect(error.oldSize).to.eq(14);
+      expect(error.newSize).to.eq(4);
+    });
+    it('should not send a range request while the file is empty', async function() {
+      // setup
+      files['/logs/file.log'].content = '';
+      tail._logFileSize = null;
+      global.fetch.resetHistory();
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('');
+      sinon.assert.calledOnce(global.fetch);
+    });
+  });
+  describe('parser', function() {
+    it('should emit the records of complete lines', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.parser = 'logfmt';
+      tail.on(RecordsAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('level=error msg=boom\nnot logfmt\nlevel=info', 10);
+      clearTimeout(tail._lineFlushTimer);
+      // verify
+      sinon.assert.calledOnce(stub);
+      const records = stub.firstCall.args[0].detail;
+      expect(records[0]).to.include({level: 'error', message: 'boom', raw: 'level=error msg=boom', byteOffset: 10, lineNumber: 1});
+      expect(records[1]).to.include({parseError: true, raw: 'not logfmt', byteOffset: 31, lineNumber: 2});
+    });
+    it('should turn on line mode', function() {
+      // test
+      tail.parser = line => ({message: line});
+      // verify
+      expect(tail.lineMode).to.be.true;
+    });
+    it('should reject unknown parsers', function() {
+      expect(() => tail.parser = 'unknown').to.throw(TypeError);
+    });
+  });
+  describe('filters', function() {
+    afterEach(function() {
+      clearTimeout(tail._lineFlushTimer);
+    });
+    it('should only emit lines that contain a substring', function() {
+      // setup
+      const data = sandbox.stub();
+      const lines = sandbox.stub();
+      tail.addFilter('req-42');
+      tail.on(DataAppendedEvent.name, data);
+      tail.on(LinesAppendedEvent.name, lines);
+      // test
+      tail.emitData('GET / req-41\nGET /a req-42\nGET /b req-43\n', 0);
+      // verify
+      sinon.assert.calledOnce(data);
+      sinon.assert.calledWith(data, sinon.match({detail: 'GET /a req-42\n'}));
+      sinon.assert.calledWith(lines, sinon.match({detail: [{text: 'GET /a req-42', byteOffset: 13, lineNumber: 2}]}));
+    });
+    it('should only emit lines that match all filters', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.filters = [/^get/i, line => line.text.length > 8];
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('GET /\nPOST /abcdef\nGET /abcdef\n', 0);
+      // verify
+      expect(stub.firstCall.args[0].detail.map(line => line.text)).to.deep.eq(['GET /abcdef']);
+    });
+    it('should filter by the minimum level of the records', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.parser = 'logfmt';
+      tail.addFilter({level: 'warn'});
+      tail.on(RecordsAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('level=info msg=a\nlevel=error msg=b\nnot logfmt\nlevel=warn msg=c\n', 0);
+      // verify
+      expect(stub.firstCall.args[0].detail.map(record => record.message)).to.deep.eq(['b', 'c']);
+    });
+    it('should not emit anything if no line matches', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.addFilter('nothing');
+      tail.on(DataAppendedEvent.name, stub);
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.emitData('a\nb\n', 0);
+      // verify
+      sinon.assert.notCalled(stub);
+    });
+    it('should keep the full content in logData and re-apply changed filters to it', async function() {
+      // setup
+      const stub = sandbox.stub();
+      const files = {'/logs/file.log': {content: 'error: a\ninfo: b\nerror: c\n'}};
+      sandbox.stub(global, 'fetch').callsFake(serveFiles(files));
+      sandbox.stub(global, 'setTimeout');
+      const filter = tail.addFilter('error');
+      await tail.poll();
+      tail.on(FiltersChangedEvent.name, stub);
+      // test
+      tail.removeFilter(filter);
+      tail.addFilter('info');
+      // verify
+      expect(tail.logData).to.eq('error: a\ninfo: b\nerror: c\n');
+      sinon.assert.calledTwice(stub);
+      sinon.assert.calledWith(stub.secondCall, sinon.match({
+        detail: {filters: ['info'], lines: [{text: 'info: b', byteOffset: 9, lineNumber: 2}]},
+      }));
+    });
+    it('should accept filters in the constructor', function() {
+      // test
+      tail = new LogTail({url: '/logs/file.log', filters: ['a']});
+      // verify
+      expect(tail.filters).to.deep.eq(['a']);
+      expect(tail.lineMode).to.be.true;
+    });
+    it('should reject invalid filters', function() {
+      expect(() => tail.addFilter(42)).to.throw(TypeError);
+      expect(() => tail.addFilter({level: 'loud'})).to.throw(TypeError);
+      expect(tail.filters).to.be.empty;
+    });
+  });
+  describe('alerts', function() {
+    afterEach(function() {
+      clearTimeout(tail._lineFlushTimer);
+    });
+    it('should fire when a line matches', function() {
+      // setup
+      const stub = sandbox.stub();
+      const rule = tail.addAlert({name: 'oom', match: /OutOfMemory/});
+      tail.on(AlertEvent.name, stub);
+      // test
+      tail.bufferLines('ok\njava.lang.OutOfMemoryError\nok\n', 0);
+      // verify
+      sinon.assert.calledOnce(stub);
+      const detail = stub.firstCall.args[0].detail;
+      expect(detail).to.include({rule, name: 'oom', key: null, records: null});
+      expect(detail.lines).to.deep.eq([{text: 'java.lang.OutOfMemoryError', byteOffset: 3, lineNumber: 2}]);
+      expect(detail.summary).to.include({count: 1, window: 60000});
+      expect(tail.lineMode).to.be.true;
+    });
+    it('should fire when enough lines match within the window', function() {
+      // setup
+      const clock = sandbox.useFakeTimers();
+      const stub = sandbox.stub();
+      tail.parser = 'logfmt';
+      tail.addAlert({name: 'errors', match: {level: 'error'}, count: 3, window: 1000});
+      tail.on(AlertEvent.name, stub);
+      // test
+      tail.bufferLines('level=error msg=a\nlevel=info msg=b\nlevel=error msg=c\n', 0);
+      clock.tick(1000);
+      tail.bufferLines('level=error msg=d\nlevel=error msg=e\n', 100);
+      sinon.assert.notCalled(stub);
+      clock.tick(500);
+      tail.bufferLines('level=fatal msg=f\n', 200);
+      // verify
+      sinon.assert.calledOnce(stub);
+      const detail = stub.firstCall.args[0].detail;
+      expect(detail.records.map(record => record.message)).to.deep.eq(['d', 'e', 'f']);
+      expect(detail.summary).to.deep.eq({
+        count: 3,
+        window: 1000,
+        since: new Date(1000),
+        until: new Date(1500),
+        levels: {error: 2, fatal: 1},
+      });
+    });
+    it('should not fire again during the cooldown', function() {
+      // setup
+      const clock = sandbox.useFakeTimers();
+      const stub = sandbox.stub();
+      tail.addAlert({match: 'ERROR', cooldown: 1000});
+      tail.on(AlertEvent.name, stub);
+      // test
+      tail.bufferLines('ERROR a\nERROR b\n', 0);
+      clock.tick(999);
+      tail.bufferLines('ERROR c\n', 16);
+      clock.tick(1);
+      tail.bufferLines('ERROR d\n', 24);
+      // verify
+      expect(stub.args.map(args => args[0].detail.lines.map(line => line.text))).to.deep.eq([['ERROR a'], ['ERROR b', 'ERROR c', 'ERROR d']]);
+      expect(stub.firstCall.args[0].detail.name).to.eq('ERROR');
+    });
+    it('should cool down duplicate lines separately', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.addAlert({match: 'ERROR', cooldown: 1000, dedupe: line => line.text.replace(/[0-9]+/g, 'N')});
+      tail.on(AlertEvent.name, stub);
+      // test
+      tail.bufferLines('ERROR timeout 1\nERROR refused 2\nERROR timeout 3\n', 0);
+      // verify
+      expect(stub.args.map(args => args[0].detail.key)).to.deep.eq(['ERROR timeout N', 'ERROR refused N']);
+    });
+    it('should see the lines that the filters hide', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.addFilter('GET');
+      tail.addAlert({match: 'ERROR'});
+      tail.on(AlertEvent.name, stub);
+      // test
+      tail.bufferLines('GET /\nERROR a\n', 0);
+      // verify
+      sinon.assert.calledOnce(stub);
+    });
+    it('should remove rules', function() {
+      // setup
+      const stub = sandbox.stub();
+      const rule = tail.addAlert({match: 'ERROR'});
+      tail.on(AlertEvent.name, stub);
+      // test
+      expect(tail.removeAlert(rule)).to.be.true;
+      expect(tail.removeAlert(rule)).to.be.false;
+      tail.bufferLines('ERROR a\n', 0);
+      // verify
+      sinon.assert.notCalled(stub);
+      expect(tail.alerts).to.be.empty;
+    });
+    it('should reject invalid rules', function() {
+      expect(() => tail.addAlert('ERROR')).to.throw(TypeError, `An alert rule must be an object with a 'match', not ERROR`);
+      expect(() => tail.addAlert({match: 42})).to.throw(TypeError);
+      expect(() => tail.addAlert({match: 'a', count: 0})).to.throw(TypeError, `The 'count' of an alert rule must be a number >= 1, not 0`);
+      expect(() => tail.addAlert({match: 'a', dedupe: 'text'})).to.throw(TypeError);
+      expect(tail.alerts).to.be.empty;
+    });
+  });
+  describe('multiline', function() {
+    afterEach(function() {
+      clearTimeout(tail._lineFlushTimer);
+    });
+    it('should group indented lines with the line before them', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.multiline = 'indented';
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('ERROR failed\njava.lang.IllegalStateException: x\n\tat A.b(A.java:1)\nCaused by: y\n\t... 2 more\nINFO ok\nINFO next\n', 0);
+      // verify
+      expect(tail.lineMode).to.be.true;
+      expect(stub.firstCall.args[0].detail).to.deep.eq([
+        {text: 'ERROR failed', byteOffset: 0, lineNumber: 1, lineCount: 1},
+        {text: 'java.lang.IllegalStateException: x\n\tat A.b(A.java:1)\nCaused by: y\n\t... 2 more', byteOffset: 13, lineNumber: 2, lineCount: 4},
+        {text: 'INFO ok', byteOffset: 91, lineNumber: 6, lineCount: 1},
+      ]);
+    });
+    it('should keep a Python traceback in one entry with the python preset', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.multiline = 'python';
+      tail.on(LinesAppendedEvent.name, stub);
+      const traceback = [
+        'ERROR:root:startup failed',
+        'Traceback (most recent call last):',
+        '  File "app.py", line 7, in main',
+        '    load({})',
+        '  File "app.py", line 4, in load',
+        '    return config[\'port\']',
+        '           ~~~~~~^^^^^^^^',
+        'KeyError: \'port\'',
+        '',
+        'The above exception was the direct cause of the following exception:',
+        '',
+        'Traceback (most recent call last):',
+        '  File "app.py", line 11, in <module>',
+        '    main()',
+        '  File "app.py", line 9, in main',
+        '    raise ValueError(\'invalid config\') from e',
+        'ValueError: invalid config',
+      ];
+      // test
+      const first = `${traceback.slice(0, 7).join('\n')}\n`;
+      tail.bufferLines(first, 0);
+      tail.bufferLines(`${traceback.slice(7).join('\n')}\nWARNING:root:retrying\n`, first.length);
+      tail.flushLines();
+      // verify
+      expect(stub.args.map(args => args[0].detail.map(entry => [entry.text, entry.lineCount]))).to.deep.eq([
+        [[traceback.join('\n'), 17]],
+        [['WARNING:root:retrying', 1]],
+      ]);
+    });
+    it('should not swallow the blank lines after a Python traceback', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.multiline = 'python';
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('Traceback (most recent call last):\n  File "app.py", line 1, in <module>\nKeyError: 1\n\n\nINFO a\n', 0);
+      tail.flushLines();
+      // verify
+      expect(stub.args.map(args => args[0].detail.map(entry => entry.text))).to.deep.eq([
+        ['Traceback (most recent call last):\n  File "app.py", line 1, in <module>\nKeyError: 1\n', ''],
+        ['INFO a'],
+      ]);
+    });
+    it('should keep the indented preset to indentation for logs that are not Python', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.multiline = 'indented';
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines([
+        'Traceback (most recent call last):',
+        '  File "app.py", line 1, in <module>',
+        'KeyError: 1',
+        '',
+        'Exception in thread "main" java.lang.IllegalStateException',
+        '\tat A.b(A.java:1)',
+        '',
+        '{',
+        '  "a": 1',
+        '}',
+        'INFO done',
+      ].join('\n') + '\n', 0);
+      tail.flushLines();
+      // verify
+      expect(MULTILINE_PRESETS.indented).to.be.instanceOf(RegExp);
+      expect(stub.args.map(args => args[0].detail.map(entry => entry.text))).to.deep.eq([
+        [
+          'Traceback (most recent call last):\n  File "app.py", line 1, in <module>',
+          'KeyError: 1',
+          '',
+          'Exception in thread "main" java.lang.IllegalStateException\n\tat A.b(A.java:1)',
+          '',
+          '{\n  "a": 1\n}',
+        ],
+        ['INFO done'],
+      ]);
+    });
+    it('should start entries with timestamps', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.multiline = 'timestamp';
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines([
+        '2024-01-02 03:04:05 ERROR a',
+        'trace a',
+        '[2024-01-02T03:04:06Z] b',
+        '127.0.0.1 - - [02/Jan/2024:03:04:07 +0000] "GET /"',
+        '[02/Jan/2024:03:04:07 +0000] c',
+        'Jan  2 03:04:08 host d',
+        '',
+      ].join('\n'), 0);
+      // verify
+      expect(stub.firstCall.args[0].detail.map(entry => entry.text)).to.deep.eq([
+        '2024-01-02 03:04:05 ERROR a\ntrace a',
+        '[2024-01-02T03:04:06Z] b\n127.0.0.1 - - [02/Jan/2024:03:04:07 +0000] "GET /"',
+        '[02/Jan/2024:03:04:07 +0000] c',
+      ]);
+      expect(MULTILINE_PRESETS.timestamp.test('Jan  2 03:04:08 host d')).to.be.true;
+    });
+    it('should accept a RegExp or a function', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.multiline = /^>/g;
+      tail.bufferLines('> a\nb\n> c\n> d\n', 0);
+      tail.flushLines();
+      tail.multiline = line => line.text.startsWith('#');
+      tail.bufferLines('# e\nf\n# g\n', 12);
+      // verify
+      expect(stub.args.map(args => args[0].detail.map(entry => entry.text))).to.deep.eq([['> a\nb', '> c'], ['> d'], ['# e\nf']]);
+    });
+    it('should hold back the last entry until the next one starts or the flush timeout expires', function() {
+      // setup
+      const clock = sandbox.useFakeTimers();
+      const stub = sandbox.stub();
+      tail.multiline = 'indented';
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('Exception: a\n', 0);
+      sinon.assert.notCalled(stub);
+      tail.bufferLines('  at b\n', 13);
+      clock.tick(999);
+      sinon.assert.notCalled(stub);
+      clock.tick(1);
+      // verify
+      sinon.assert.calledOnce(stub);
+      expect(stub.firstCall.args[0].detail).to.deep.eq([{text: 'Exception: a\n  at b', byteOffset: 0, lineNumber: 1, lineCount: 2}]);
+      tail.bufferLines('  at c\n', 20);
+      expect(tail.flushLines()).to.include({text: '  at c', lineCount: 1});
+    });
+    it('should filter whole entries', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.multiline = 'indented';
+      tail.addFilter('ERROR');
+      tail.on(LinesAppendedEvent.name, stub);
+      // test
+      tail.bufferLines('INFO a\nERROR b\n  at c\n  at d\nINFO e\n', 0);
+      // verify
+      expect(stub.firstCall.args[0].detail.map(entry => entry.text)).to.deep.eq(['ERROR b\n  at c\n  at d']);
+    });
+    it('should group the buffered lines', function() {
+      // setup
+      tail.multiline = 'indented';
+      tail._logData = 'a\n  b\nc\n  d';
+      tail._earliestOffset = 0;
+      // test
+      const results = tail.search('d');
+      // verify
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].line).to.include({text: 'c\n  d', byteOffset: 6});
+    });
+    it('should reject invalid values', function() {
+      expect(() => tail.multiline = 'json').to.throw(TypeError, `Property 'multiline' must be one of timestamp, indented, python, a RegExp, a function or null, not json`);
+      expect(() => tail.multiline = 42).to.throw(TypeError);
+      expect(tail.multiline).to.be.null;
+    });
+  });
+  describe('method #search', function() {
+    beforeEach(async function() {
+      const files = {'/logs/file.log': {content: 'x\nline 1 req-1\nline 2 \u00e9 req-2 req-2\nline 3'}};
+      sandbox.stub(global, 'fetch').callsFake(serveFiles(files));
+      await tail.getLog();
+    });
+    it('should return the matches of a substring with their offsets', function() {
+      // test
+      const results = tail.search('req-2');
+      // verify
+      expect(results).to.have.lengthOf(2);
+      expect(results[0]).to.deep.eq({
+        line: {text: 'line 2 \u00e9 req-2 req-2', byteOffset: 15},
+        match: 'req-2',
+        index: 9,
+        byteOffset: 25,
+      });
+      expect(results[1].byteOffset).to.eq(31);
+    });
+    it('should return the matches of a regular expression', function() {
+      // test
+      const results = tail.search(/req-[0-9]/);
+      // verify
+      expect(results.map(result => result.match)).to.deep.eq(['req-1', 'req-2', 'req-2']);
+    });
+    it('should treat a string as a literal', function() {
+      expect(tail.search('req-.')).to.be.empty;
+    });
+    it('should include the trailing partial line', function() {
+      expect(tail.search('line 3')[0].line.byteOffset).to.eq(37);
+    });
+  });
+  describe('method #loadOlder', function() {
+    let files;
+    beforeEach(async function() {
+      files = {
+        '/logs/file.log': {content: 'line 1\nline 2\nline 3\nline 4\nline 5\n'},
+      };
+      sandbox.stub(global, 'fetch').callsFake(serveFiles(files));
+      tail.loadBytes = 10;
+      await tail.getLog();
+    });
+    it('should prepend the data right before the earliest offset, starting at a line boundary', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(DataPrependedEvent.name, stub);
+      // test
+      const data = await tail.loadOlder(10);
+      // verify
+      expect(data).to.eq('line 4\n');
+      expect(tail.logData).to.eq('line 4\nline 5\n');
+      expect(tail.earliestOffset).to.eq(21);
+      sinon.assert.calledWith(stub, sinon.match({
+        detail: {data: 'line 4\n', byteOffset: 21, startReached: false},
+      }));
+    });
+    it('should report when the start of the file has been reached', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(DataPrependedEvent.name, stub);
+      // test
+      const data = await tail.loadOlder(100);
+      const more = await tail.loadOlder(100);
+      // verify
+      expect(data).to.eq('line 1\nline 2\nline 3\nline 4\n');
+      expect(more).to.eq('');
+      expect(tail.startReached).to.be.true;
+      sinon.assert.calledOnce(stub);
+      sinon.assert.calledWith(stub, sinon.match({detail: {byteOffset: 0, startReached: true}}));
+    });
+    it('should not change the size of the file that is being tailed', async function() {
+      // setup
+      files['/logs/file.log'].content += 'line 6\n';
+      // test
+      await tail.loadOlder();
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('line 6\n');
+    });
+    it('should include the line numbers of the prepended lines in line mode', async function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.lineMode = true;
+      tail.on(DataPrependedEvent.name, stub);
+      // test
+      await tail.loadOlder(14);
+      // verify
+      sinon.assert.calledWith(stub, sinon.match({
+        detail: {
+          lines: [
+            {text: 'line 3', byteOffset: 14, lineNumber: -1},
+            {text: 'line 4', byteOffset: 21, lineNumber: 0},
+          ],
+        },
+      }));
+    });
+    it('should only send one request at a time', async function() {
+      // setup
+      global.fetch.resetHistory();
+      // test
+      const [first, second] = await Promise.all([tail.loadOlder(), tail.loadOlder()]);
+      // verify
+      expect(first).to.eq(second);
+      sinon.assert.calledOnce(global.fetch);
+    });
+    it('should reject when the server does not respond with partial content', async function() {
+      // setup
+      global.fetch.resolves(mockResponse(200, {}, 'everything'));
+      // test
+      await expect(tail.loadOlder()).to.be.rejectedWith(Non206ResponseError);
+    });
+  });
+  describe('method #evict', function() {
+    let files;
+    beforeEach(async function() {
+      files = {
+        '/logs/file.log': {content: 'line 1\nline 2\nline 3\n'},
+      };
+      sandbox.stub(global, 'fetch').callsFake(serveFiles(files));
+      await tail.getLog();
+    });
+    it('should not evict anything without a limit', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.on(EvictedEvent.name, stub);
+      // test
+      const dropped = tail.evict();
+      // verify
+      expect(dropped).to.eq('');
+      expect(tail.logData).to.eq('line 1\nline 2\nline 3\n');
+      sinon.assert.notCalled(stub);
+    });
+    it('should evict whole lines from the front to stay within maxBufferLines', function() {
+      // setup
+      const stub = sandbox.stub();
+      tail.maxBufferLines = 1;
+      tail.on(EvictedEvent.name, stub);
+      // test
+      const dropped = tail.evict();
+      // verify
+      expect(dropped).to.eq('line 1\nline 2\n');
+      expect(tail.logData).to.eq('line 3\n');
+      expect(tail.earliestOffset).to.eq(14);
+      sinon.assert.calledWith(stub, sinon.match({
+        detail: {data: 'line 1\nline 2\n', byteOffset: 0, bytes: 14, lines: 2},
+      }));
+    });
+    it('should count a trailing partial line', async function() {
+      // setup
+      files['/logs/file.log'].content += 'line 4';
+      await tail.getLog();
+      tail.maxBufferLines = 2;
+      // test
+      tail.evict();
+      // verify
+      expect(tail.logData).to.eq('line 3\nline 4');
+    });
+    it('should evict whole lines from the front to stay within maxBufferBytes', function() {
+      // setup
+      tail.maxBufferBytes = 10;
+      // test
+      tail.evict();
+      // verify
+      expect(tail.logData).to.eq('line 3\n');
+      expect(tail.earliestOffset).to.eq(14);
+    });
+    it('should count multi-byte characters against maxBufferBytes', async function() {
+      // setup
+      files['/logs/file.log'].content += '\u00e9\u00e9\u00e9\n';
+      await tail.getLog();
+      tail.maxBufferBytes = 14;
+      // test
+      tail.evict();
+      // verify
+      expect(tail.logData).to.eq('line 3\n\u00e9\u00e9\u00e9\n');
+      expect(tail.earliestOffset).to.eq(14);
+    });
+    it('should keep a single line that is longer than maxBufferBytes', async function() {
+      // setup
+      files['/logs/file.log'].content += 'a very long line without a line break';
+      await tail.getLog();
+      tail.maxBufferBytes = 10;
+      // test
+      tail.evict();
+      // verify
+      expect(tail.logData).to.eq('a very long line without a line break');
+    });
+    it('should evict after each poll so the dropped range can be loaded again', async function() {
+      // setup
+      sandbox.stub(global, 'setTimeout');
+      tail.maxBufferLines = 2;
+      files['/logs/file.log'].content += 'line 4\n';
+      // test
+      await tail.poll();
+      const older = await tail.loadOlder();
+      // verify
+      expect(older).to.eq('line 1\nline 2\n');
+      expect(tail.logData).to.eq('line 1\nline 2\nline 3\nline 4\n');
+    });
+    it('should reject invalid limits', function() {
+      expect(() => tail.maxBufferBytes = 0).to.throw(TypeError);
+      expect(() => tail.maxBufferLines = 1.5).to.throw(TypeError);
+    });
+  });
+  describe('retry policy', function() {
+    let timeout;
+    beforeEach(function() {
+      sandbox.useFakeTimers();
+      timeout = sandbox.spy(global, 'setTimeout');
+      sandbox.stub(Math, 'random').returns(0.5);
+      tail.pollInterval = 1000;
+    });
+    it('should back off exponentially with jitter up to the maximum delay', async function() {
+      // setup
+      const stub = sandbox.stub();
+      sandbox.stub(tail, 'getLog').rejects(new FetchError('offline'));
+      tail.retry = {maxDelay: 5000};
+      tail.on(ReconnectingEvent.name, stub);
+      // test
+      const delays = [];
+      for (let i = 0; i < 4; i++) {
+        await tail.poll();
+        delays.push(timeout.lastCall.args[1]);
+      }
+      // verify
+      expect(delays).to.deep.eq([1250, 2500, 5000, 5000]);
+      sinon.assert.callCount(stub, 4);
+      sinon.assert.calledWith(stub.thirdCall, sinon.match({detail: {attempt: 3, delay: 5000}}));
+    });
+    it('should emit ReconnectedEvent and go back to the poll interval after a successful poll', async function() {
+      // setup
+      const stub = sandbox.stub();
+      sandbox.stub(tail, 'getLog')
+        .onFirstCall().rejects(new FetchError('offline'))
+        .onSecondCall().rejects(new FetchError('offline'))
+        .onThirdCall().resolves('');
+      tail.on(ReconnectedEvent.name, stub);
+      // test
+      await tail.poll();
+      await tail.poll();
+      await tail.poll();
+      // verify
+      sinon.assert.calledWith(stub, sinon.match({detail: {attempts: 2}}));
+      expect(timeout.lastCall.args[1]).to.eq(1000);
+    });
+    it('should give up without rescheduling when the server responds with a non-retryable status', async function() {
+      // setup
+      const stub = sandbox.stub();
+      const error = new UnexpectedServerResponseError('unauthorized', 401, 'Unauthorized');
+      sandbox.stub(tail, 'getLog').rejects(error);
+      tail.on(GaveUpEvent.name, stub);
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledWith(stub, sinon.match({detail: {error, attempts: 0}}));
+      sinon.assert.notCalled(timeout);
+    });
+    it('should retry when the server responds with a retryable status', async function() {
+      // setup
+      sandbox.stub(tail, 'getLog').rejects(new UnexpectedServerResponseError('unavailable', 503, 'Service Unavailable'));
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledOnce(timeout);
+    });
+    it('should give up when the log does not exist', async function() {
+      // setup
+      const stub = sandbox.stub();
+      const error = new ResourceNotFoundError('/logs/file.log');
+      sandbox.stub(tail, 'getLog').rejects(error);
+      tail.on(GaveUpEvent.name, stub);
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledWith(stub, sinon.match({detail: {error, attempts: 0}}));
+      sinon.assert.notCalled(timeout);
+    });
+    it('should keep waiting for the log if ResourceNotFoundError is not fatal', async function() {
+      // setup
+      sandbox.stub(tail, 'getLog').rejects(new ResourceNotFoundError('/logs/file.log'));
+      tail.retry = {fatalErrors: []};
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledOnce(timeout);
+    });
+    it('should give up on fatal error classes, including their subclasses', async function() {
+      // setup
+      const stub = sandbox.stub();
+      sandbox.stub(tail, 'getLog').rejects(new MissingContentLengthHeaderError('missing', 'content-length', {}));
+      tail.on(GaveUpEvent.name, stub);
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledOnce(stub);
+      sinon.assert.notCalled(timeout);
+    });
+    it('should accept error classes as fatal errors', async function() {
+      // setup
+      sandbox.stub(tail, 'getLog').rejects(new FetchError('offline'));
+      tail.retry = {fatalErrors: [FetchError]};
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.notCalled(timeout);
+    });
+    it('should give up once the maximum number of attempts is reached', async function() {
+      // setup
+      const stub = sandbox.stub();
+      sandbox.stub(tail, 'getLog').rejects(new FetchError('offline'));
+      tail.retry = {maxAttempts: 2};
+      tail.on(GaveUpEvent.name, stub);
+      // test
+      await tail.poll();
+      await tail.poll();
+      await tail.poll();
+      // verify
+      sinon.assert.calledWith(stub, sinon.match({detail: {attempts: 2}}));
+      sinon.assert.calledTwice(timeout);
+    });
+    it('should keep polling at the regular interval if retrying is disabled', async function() {
+      // setup
+      sandbox.stub(tail, 'getLog').rejects(new UnexpectedServerResponseError('unauthorized', 401, 'Unauthorized'));
+      tail.retry = false;
+      // test
+      await tail.poll();
+      await tail.poll();
+      // verify
+      sinon.assert.calledTwice(timeout);
+      expect(timeout.lastCall.args[1]).to.eq(1000);
+    });
+  });
+  describe('adaptive polling', function() {
+    let timeout;
+    beforeEach(function() {
+      sandbox.useFakeTimers();
+      timeout = sandbox.spy(global, 'setTimeout');
+    });
+    afterEach(function() {
+      delete global.document;
+    });
+    it('should back off step by step while the log is quiet and poll fast again once there is new data', async function() {
+      // setup
+      const getLog = sandbox.stub(tail, 'getLog').resolves('');
+      getLog.onCall(4).resolves('new data');
+      tail.pollInterval = {min: 500, max: 3000};
+      // test
+      const delays = [];
+      for (let i = 0; i < 6; i++) {
+        await tail.poll();
+        delays.push(timeout.lastCall.args[1]);
+      }
+      // verify
+      expect(delays).to.deep.eq([1000, 2000, 3000, 3000, 500, 1000]);
+    });
+    it('should use the provided factor', async function() {
+      // setup
+      sandbox.stub(tail, 'getLog').resolves('');
+      tail.pollInterval = {min: 100, max: 10000, factor: 3};
+      // test
+      await tail.poll();
+      await tail.poll();
+      // verify
+      expect(tail.pollInterval).to.eq(900);
+    });
+    it('should reject invalid intervals', function() {
+      expect(() => tail.pollInterval = {min: 0, max: 100}).to.throw(TypeError);
+      expect(() => tail.pollInterval = {min: 200, max: 100}).to.throw(TypeError);
+      expect(() => tail.pollInterval = {min: 100}).to.throw(TypeError);
+      expect(() => tail.pollInterval = {min: 500, max: 5000, factor: 0}).to.throw(TypeError);
+      expect(() => tail.pollInterval = {min: 500, max: 5000, factor: 0.5}).to.throw(TypeError);
+      expect(() => tail.pollInterval = {min: 500, max: 5000, factor: 1}).to.throw(TypeError);
+      expect(() => tail.pollInterval = {min: 500, max: 5000, factor: '2'}).to.throw(TypeError);
+      expect(tail.adaptivePolling).to.be.null;
+    });
+    it('should keep the interval within min and max', async function() {
+      // setup
+      sandbox.stub(tail, 'getLog').resolves('');
+      tail.pollInterval = {min: 500, max: 5000, factor: 1.01};
+      // test
+      await tail.poll();
+      // verify
+      expect(tail.pollInterval).to.eq(505);
+      tail._currentPollInterval = 1;
+      await tail.poll();
+      expect(tail.pollInterval).to.eq(500);
+    });
+    it('should go back to a fixed interval', function() {
+      // setup
+      tail.pollInterval = {min: 100, max: 1000};
+      // test
+      tail.pollInterval = 2000;
+      // verify
+      expect(tail.adaptivePolling).to.be.null;
+      expect(tail.pollInterval).to.eq(2000);
+    });
+    it('should stop polling while the page is hidden and catch up as soon as it is visible', async function() {
+      // setup
+      const listeners = [];
+      global.document = {
+        hidden: true,
+        addEventListener: (event, listener) => listeners.push(listener),
+        removeEventListener: (event, listener) => listeners.splice(listeners.indexOf(listener), 1),
+      };
+      const getLog = sandbox.stub(tail, 'getLog').resolves('');
+      tail.pauseWhenHidden = true;
+      tail.pollInterval = {min: 500, max: 3000};
+      tail._currentPollInterval = 3000;
+      // test
+      await tail.poll();
+      await tail.poll();
+      sinon.assert.notCalled(getLog);
+      sinon.assert.notCalled(timeout);
+      global.document.hidden = false;
+      await listeners[0]();
+      // verify
+      sinon.assert.calledOnce(getLog);
+      expect(listeners).to.be.empty;
+      expect(timeout.lastCall.args[1]).to.eq(1000);
+    });
+    it('should keep polling while the page is hidden by default', async function() {
+      // setup
+      global.document = {hidden: true};
+      const getLog = sandbox.stub(tail, 'getLog').resolves('');
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledOnce(getLog);
+    });
+  });
+  describe('option fetch', function() {
+    it('should send all requests with the provided fetch', async function() {
+      // setup
+      const files = {'/logs/file.log': {content: 'line 1\nline 2\n'}};
+      const injected = sinon.spy(serveFiles(files));
+      sandbox.spy(global, 'fetch');
+      tail = new LogTail({url: '/logs/file.log', fetch: injected});
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('line 1\nline 2\n');
+      sinon.assert.calledTwice(injected);
+      sinon.assert.notCalled(global.fetch);
+    });
+    it('should reject a fetch that is not a function', function() {
+      expect(() => tail.fetch = 'fetch').to.throw(TypeError);
+    });
+  });
+  describe('request options and hooks', function() {
+    let files;
+    beforeEach(function() {
+      files = {'/logs/file.log': {content: 'line 1\nline 2\n'}};
+    });
+    /**
+     * Serves the files only to requests with the token
+     */
+    const serveWithToken = (token, status=401) => {
+      const serve = serveFiles(files);
+      return sinon.spy(async (url, opts) => opts.headers.Authorization === `Bearer ${token}` ? serve(url, opts) : mockResponse(status));
+    };
+    it('should add the request options to every request', async function() {
+      // setup
+      const injected = sinon.spy(serveFiles(files));
+      tail = new LogTail({
+        url: '/logs/file.log',
+        fetch: injected,
+        requestOptions: {credentials: 'include', headers: {Authorization: 'Bearer abc'}},
+      });
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('line 1\nline 2\n');
+      sinon.assert.calledWith(injected.firstCall, '/logs/file.log', sinon.match({
+        method: 'HEAD',
+        credentials: 'include',
+        headers: {Authorization: 'Bearer abc'},
+      }));
+      sinon.assert.calledWith(injected.secondCall, '/logs/file.log', sinon.match({
+        credentials: 'include',
+        headers: {Authorization: 'Bearer abc', Range: 'bytes=-14', 'Cache-Control': 'no-cache'},
+      }));
+    });
+    it('should let onRequest change the request and onResponse the response', async function() {
+      // setup
+      const injected = sinon.spy(serveFiles(files));
+      tail = new LogTail({
+        url: '/logs/file.log',
+        fetch: injected,
+        onRequest: (url, init) => {
+          init.headers['X-Request-Id'] = '1';
+        },
+        onResponse: async (response, url, init) => init.method === 'HEAD' ? mockResponse(503) : response,
+      });
+      // test & verify
+      await expect(tail.getLog()).to.be.rejectedWith(UnexpectedServerResponseError);
+      sinon.assert.calledWith(injected, '/logs/file.log', sinon.match({headers: {'X-Request-Id': '1'}}));
+    });
+    it('should send the request once more after onAuthRequired refreshed the token', async function() {
+      // setup
+      const token = {value: 'expired'};
+      const injected = serveWithToken('fresh');
+      const onAuthRequired = sinon.spy(async response => {
+        expect(response.status).to.eq(401);
+        token.value = 'fresh';
+        return true;
+      });
+      tail = new LogTail({
+        url: '/logs/file.log',
+        fetch: injected,
+        onRequest: (url, init) => Object.assign({}, init, {headers: Object.assign({}, init.headers, {Authorization: `Bearer ${token.value}`})}),
+        onAuthRequired,
+      });
+      // test
+      const content = await tail.getLog();
+      // verify
+      expect(content).to.eq('line 1\nline 2\n');
+      sinon.assert.calledOnce(onAuthRequired);
+      sinon.assert.calledThrice(injected);
+    });
+    it('should emit the error if the request is still rejected', async function() {
+      // setup
+      const onAuthRequired = sinon.stub().resolves(true);
+      tail = new LogTail({
+        url: '/logs/file.log',
+        fetch: serveWithToken('fresh', 403),
+        requestOptions: {headers: {Authorization: 'Bearer expired'}},
+        onAuthRequired,
+      });
+      const stub = sinon.stub();
+      tail.on(UnexpectedServerResponseError.name, stub);
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledOnce(onAuthRequired);
+      sinon.assert.calledWith(stub, sinon.match({status: 403}));
+    });
+    it('should not send the request again if onAuthRequired resolves to false', async function() {
+      // setup
+      const injected = serveWithToken('fresh');
+      tail = new LogTail({url: '/logs/file.log', fetch: injected, onAuthRequired: async () => false});
+      // test & verify
+      await expect(tail.requestLogSize()).to.be.rejectedWith(UnexpectedServerResponseError);
+      sinon.assert.calledOnce(injected);
+    });
+    it('should call onAuthRequired once for requests that are rejected at the same time', async function() {
+      // setup
+      const token = {value: 'expired'};
+      const onAuthRequired = sinon.spy(async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        token.value = 'fresh';
+        return true;
+      });
+      tail = new LogTail({
+        url: '/logs/file.log',
+        fetch: serveWithToken('fresh'),
+        onRequest: (url, init) => {
+          init.headers.Authorization = `Bearer ${token.value}`;
+        },
+        onAuthRequired,
+      });
+      // test
+      const sizes = await Promise.all([tail.requestLogSize(), tail.requestLogSize()]);
+      // verify
+      expect(sizes).to.deep.eq([14, 14]);
+      sinon.assert.calledOnce(onAuthRequired);
+    });
+    it('should give up on requests that were aborted', async function() {
+      // setup
+      const abort = new Error('The operation was aborted');
+      abort.name = 'AbortError';
+      const stub = sinon.stub();
+      tail = new LogTail({url: '/logs/file.log', fetch: sinon.stub().rejects(abort)});
+      tail.on(GaveUpEvent.name, stub);
+      // test
+      await tail.poll();
+      // verify
+      sinon.assert.calledOnce(stub);
+      expect(tail._timeout).to.be.undefined;
+    });
+    it('should reject invalid request options and hooks', function() {
+      expect(() => tail.requestOptions = 'credentials').to.throw(TypeError);
+      expect(() => tail.onRequest = {}).to.throw(TypeError);
+      expect(() => tail.onResponse = true).to.throw(TypeError);
+      expect(() => tail.onAuthRequired = 'refresh').to.throw(TypeError);
+    });
+  });
+  describe('lifecycle', function() {
+    let files;
+    let states;
+    const createTail = opts => {
+      tail = new LogTail(Object.assign({url: '/logs/file.log', fetch: serveFiles(files), pollInterval: 60000}, opts));
+      tail.on(StateChangeEvent.name, evt => states.push(evt.detail.state));
+      return tail;
+    };
+    const waitForState = state => new Promise(resolve => {
+      const check = () => tail.state === state ? resolve() : setTimeout(check, 1);
+      check();
+    });
+    beforeEach(function() {
+      files = {'/logs/file.log': {content: 'line 1\n'}};
+      states = [];
+    });
+    afterEach(function() {
+      tail.destroy();
+    });
+    it('should go through the states and emit StateChangeEvent', async function() {
+      // setup
+      createTail();
+      const initial = tail.state;
+      // test
+      tail.start();
+      await waitForState('running');
+      tail.pause();
+      tail.resume();
+      await waitForState('running');
+      tail.stop();
+      // verify
+      expect(initial).to.eq('idle');
+      expect(states).to.deep.eq(['starting', 'running', 'paused', 'starting', 'running', 'stopped']);
+      expect(tail._timeout).to.be.null;
+    });
+    it('should only run one poll loop', async function() {
+      // setup
+      createTail();
+      const poll = sandbox.spy(tail, 'poll');
+      // test
+      tail.start();
+      tail.start();
+      tail.f();
+      await waitForState('running');
+      // verify
+      sinon.assert.calledOnce(poll);
+    });
+    it('should abort the request in flight without emitting an error', async function() {
+      // setup
+      let signal;
+      const errors = [];
+      createTail({
+        fetch: (url, init) => new Promise((resolve, reject) => {
+          signal = init.signal;
+          signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), {name: 'AbortError'})));
+        }),
+      });
+      tail.on('error', error => errors.push(error));
+      tail.start();
+      // test
+      tail.stop();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      // verify
+      expect(signal.aborted).to.be.true;
+      expect(errors).to.be.empty;
+      expect(tail._timeout).to.be.null;
+      expect(tail.loading).to.be.false;
+    });
+    it('should continue where it stopped', async function() {
+      // setup
+      const appended = [];
+      createTail();
+      tail.on(DataAppendedEvent.name, evt => appended.push(evt.detail));
+      tail.start();
+      await waitForState('running');
+      tail.stop();
+      files['/logs/file.log'].content += 'line 2\n';
+      // test
+      tail.start();
+      await new Promise(resolve => tail.on(DataAppendedEvent.name, resolve));
+      // verify
+      expect(appended).to.deep.eq(['line 1\n', 'line 2\n']);
+    });
+    it('should stay paused with the pause option until resumed', async function() {
+      // setup
+      createTail({pause: true});
+      const poll = sandbox.spy(tail, 'poll');
+      // test
+      tail.start();
+      const started = poll.called;
+      tail.resume();
+      await waitForState('running');
+      // verify
+      expect(typeof tail.pause).to.eq('function');
+      expect(started).to.be.false;
+      expect(states).to.deep.eq(['starting', 'running']);
+    });
+    it('should be errored once it gave up', async function() {
+      // setup
+      createTail({url: '/logs/missing.log', retry: {fatalErrors: ['ResourceNotFoundError']}});
+      // test
+      tail.start();
+      await waitForState('errored');
+      // verify
+      expect(states).to.deep.eq(['starting', 'errored']);
+    });
+    it('should remove the listeners and refuse to start once destroyed', async function() {
+      // setup
+      createTail();
+      tail.start();
+      // test
+      tail.destroy();
+      // verify
+      expect(tail.destroyed).to.be.true;
+      expect(tail.state).to.eq('stopped');
+      expect(tail.listeners(StateChangeEvent.name)).to.be.empty;
+      expect(() => tail.start()).to.throw(Error, 'destroyed');
+    });
+  });
+  describe('emitter', function() {
+    it('should remove the listener that was passed to off()', function() {
+      // setup
+      const first = sinon.stub();
+      const second = sinon.stub();
+      tail.on('test', first);
+      tail.on('test', second);
+      // test
+      const removed = tail.off('test', second);
+      tail.emit('test', 1);
+      // verify
+      expect(removed).to.be.true;
+      sinon.assert.calledOnce(first);
+      sinon.assert.notCalled(second);
+    });
+    it('should only remove the listener with the context if one is passed to off()', function() {
+      // setup
+      const callback = sinon.stub();
+      const ctx = {};
+      tail.on('test', callback);
+      tail.on('test', callback, ctx);
+      // test
+      tail.off('test', callback, ctx);
+      tail.emit('test');
+      // verify
+      sinon.assert.calledOnce(callback);
+      expect(callback.firstCall.thisValue).not.to.eq(ctx);
+    });
+    it('should call a listener that was added via once() only once', function() {
+      // setup
+      const callback = sinon.stub();
+      tail.once('test', callback);
+      // test
+      tail.emit('test', 1);
+      tail.emit('test', 2);
+      // verify
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledWith(callback, 1);
+      expect(tail.listeners('test')).to.be.empty;
+    });
+    it('should remove a listener when its signal is aborted', function() {
+      // setup
+      const callback = sinon.stub();
+      const controller = new AbortController();
+      const aborted = new AbortController();
+      aborted.abort();
+      tail.on('test', callback, undefined, {signal: controller.signal});
+      tail.once('test', callback, undefined, {signal: aborted.signal});
+      // test
+      tail.emit('test', 1);
+      controller.abort();
+      tail.emit('test', 2);
+      // verify
+      sinon.assert.calledOnce(callback);
+      expect(tail.listeners('test')).to.be.empty;
+    });
+  });
+  describe('streams', function() {
+    let files;
+    beforeEach(function() {
+      files = {'/logs/file.log': {content: 'line 1\n'}};
+      tail = new LogTail({url: '/logs/file.log', fetch: serveFiles(files), pollInterval: 10});
+    });
+    afterEach(function() {
+      tail.destroy();
+    });
+    it('should iterate over the data that is appended', async function() {
+      // setup
+      const chunks = [];
+      // test
+      for await (const chunk of tail) {
+        chunks.push(chunk);
+        if (chunks.length === 2) {
+          break;
+        }
+        files['/logs/file.log'].content += 'line 2\n';
+      }
+      // verify
+      expect(chunks).to.deep.eq(['line 1\n', 'line 2\n']);
+      expect(tail.state).to.eq('running');
+      expect(tail.listeners(DataAppendedEvent.name)).to.be.empty;
+    });
+    it('should pipe the lines through a TransformStream', async function() {
+      // setup
+      files['/logs/file.log'].content = 'line 1\nline 2\n';
+      const upperCase = new TransformStream({
+        transform: (line, controller) => controller.enqueue(line.text.toUpperCase()),
+      });
+      // test
+      const reader = tail.readable({lines: true}).pipeThrough(upperCase).getReader();
+      const first = await reader.read();
+      const second = await reader.read();
+      // verify
+      expect(tail.lineMode).to.be.true;
+      expect([first.value, second.value]).to.deep.eq(['LINE 1', 'LINE 2']);
+    });
+    it('should pause the tail while the queue is full', async function() {
+      // setup
+      const reader = tail.readable({highWaterMark: 1}).getReader();
+      await new Promise(resolve => tail.once(DataAppendedEvent.name, () => setTimeout(resolve)));
+      const paused = tail.state;
+      // test
+      const chunk = await reader.read();
+      // verify
+      expect(paused).to.eq('paused');
+      expect(chunk.value).to.eq('line 1\n');
+      expect(tail.state).to.eq('starting');
+    });
+    it('should close the stream when the tail is stopped', async function() {
+      // setup
+      const reader = tail.readable().getReader();
+      await reader.read();
+      // test
+      tail.stop();
+      const result = await reader.read();
+      // verify
+      expect(result.done).to.be.true;
+    });
+    it('should error the stream when the tail gives up', async function() {
+      // setup
+      tail.url = '/logs/missing.log';
+      tail.retry = {fatalErrors: ['ResourceNotFoundError']};
+      const reader = tail.readable().getReader();
+      // test & verify
+      await expect(reader.read()).to.be.rejectedWith(ResourceNotFoundError);
+    });
+  });
+  describe('persistence', function() {
+    let files;
+    let persistence;
+    let emitted;
+    let catchUps;
+    const createTail = opts => {
+      tail = new LogTail(Object.assign({url: '/logs/file.log', fetch: serveFiles(files), persistence}, opts));
+      tail.on(DataAppendedEvent.name, evt => emitted.push(evt.detail));
+      tail.on(CatchUpEvent.name, evt => catchUps.push(evt.detail));
+      return tail;
+    };
+    const pollOnce = async () => {
+      await tail.poll();
+      tail.destroy();
+      await new Promise(resolve => setTimeout(resolve));
+    };
+    beforeEach(async function() {
+      files = {'/logs/file.log': {content: 'line 1\nline 2\n', etag: '"inode-1"'}};
+      persistence = new MemoryAdapter();
+      emitted = [];
+      catchUps = [];
+      createTail();
+      await pollOnce();
+      emitted = [];
+    });
+    it('should save the position after each poll', function() {
+      // verify
+      expect(persistence.load('/logs/file.log')).to.include({offset: 14, lastByte: 0x0A});
+    });
+    it('should load exactly the data that was missed', async function() {
+      // setup
+      files['/logs/file.log'].content += 'line 3\nline 4\n';
+      createTail();
+      // test
+      await pollOnce();
+      // verify
+      expect(emitted).to.deep.eq(['line 3\nline 4\n']);
+      expect(catchUps).to.deep.eq([{fromOffset: 14, toOffset: 28, skippedBytes: 0, replaced: false}]);
+      expect(persistence.load('/logs/file.log').offset).to.eq(28);
+    });
+    it('should continue polling after catching up', async function() {
+      // setup
+      createTail();
+      await tail.poll();
+      files['/logs/file.log'].content += 'line 3\n';
+      // test
+      await pollOnce();
+      // verify
+      expect(emitted).to.deep.eq(['line 3\n']);
+    });
+    it('should skip the bytes beyond maxCatchUpBytes', async function() {
+      // setup
+      files['/logs/file.log'].content += 'line 3\nline 4\nline 5\n';
+      createTail({maxCatchUpBytes: 10});
+      // test
+      await pollOnce();
+      // verify
+      expect(emitted).to.deep.eq(['line 5\n']);
+      expect(catchUps).to.deep.eq([{fromOffset: 14, toOffset: 35, skippedBytes: 11, replaced: false}]);
+    });
+    it('should load the log like the first time if it was replaced', async function() {
+      // setup
+      files['/logs/file.log'].content = 'other 1\nother 2\n';
+      createTail();
+      // test
+      await pollOnce();
+      // verify
+      expect(emitted).to.deep.eq(['other 1\nother 2\n']);
+      expect(catchUps).to.deep.eq([{fromOffset: 14, toOffset: 16, skippedBytes: null, replaced: true}]);
+    });
+    it('should load the log like the first time if it was truncated', async function() {
+      // setup
+      files['/logs/file.log'].content = 'new\n';
+      createTail();
+      // test
+      await pollOnce();
+      // verify
+      expect(emitted).to.deep.eq(['new\n']);
+      expect(catchUps[0].replaced).to.be.true;
+    });
+    it('should detect a replaced file by its identity headers', async function() {
+      // setup
+      persistence = new MemoryAdapter();
+      createTail({identityHeaders: ['ETag']});
+      await pollOnce();
+      emitted = [];
+      files['/logs/file.log'] = {content: 'line 1\nline 2\nline 3\n', etag: '"inode-2"'};
+      createTail({identityHeaders: ['ETag']});
+      // test
+      await pollOnce();
+      // verify
+      expect(catchUps[0].replaced).to.be.true;
+      expect(emitted).to.deep.eq(['line 1\nline 2\nline 3\n']);
+    });
+    it('should load a partial line again in line mode', async function() {
+      // setup
+      persistence = new MemoryAdapter();
+      files['/logs/file.log'].content = 'line 1\npart';
+      createTail({lineMode: true, lineFlushTimeout: 0});
+      await pollOnce();
+      files['/logs/file.log'].content += 'ial\n';
+      const lines = [];
+      createTail({lineMode: true});
+      tail.on(LinesAppendedEvent.name, evt => lines.push(...evt.detail));
+      // test
+      await pollOnce();
+      // verify
+      expect(lines).to.deep.eq([{text: 'partial', byteOffset: 7, lineNumber: 1}]);
+    });
+    it('should load a multi-line entry that was held back again', async function() {
+      // setup
+      persistence = new MemoryAdapter();
+      files['/logs/file.log'].content = 'line 1\nException\n  at a\n';
+      createTail({multiline: 'indented', lineFlushTimeout: 0});
+      await pollOnce();
+      files['/logs/file.log'].content += 'line 2\n';
+      const lines = [];
+      createTail({multiline: 'indented'});
+      tail.on(LinesAppendedEvent.name, evt => lines.push(...evt.detail));
+      // test
+      await pollOnce();
+      // verify
+      expect(lines).to.deep.eq([{text: 'Exception\n  at a', byteOffset: 7, lineNumber: 1, lineCount: 2}]);
+    });
+    it('should reject an invalid persistence adapter', function() {
+      expect(() => tail.persistence = 'cookies').to.throw(TypeError);
+      expect(() => tail.persistence = {load() {}}).to.throw(TypeError);
+      expect(() => tail.maxCatchUpBytes = 0).to.throw(TypeError);
+    });
+  });
+  describe('stats', function() {
+    let files;
+    beforeEach(function() {
+      files = {'/logs/file.log': {content: 'line 1\nline 2\n'}};
+      tail = new LogTail({url: '/logs/file.log', fetch: serveFiles(files), lineMode: true});
+    });
+    afterEach(function() {
+      tail.destroy();
+    });
+    it('should count the data, lines, polls and requests', async function() {
+      // test
+      await tail.poll();
+      await tail.poll();
+      const stats = tail.stats();
+      // verify
+      expect(stats).to.include({url: '/logs/file.log', fileSize: 14, lagBytes: 0, levels: null});
+      expect(stats.bytes.total).to.eq(14);
+      expect(stats.lines.total).to.eq(2);
+      expect(stats.polls).to.deep.eq({total: 2, withData: 1, empty: 1});
+      expect(stats.requests.head.count + stats.requests.range.count).to.be.at.least(2);
+      expect(stats.requests.range.average).to.be.at.least(0);
+      expect(stats.sinceData).to.be.at.least(0);
+      expect(stats.sinceContact).to.be.at.least(0);
+    });
+    it('should count the errors by class', async function() {
+      // setup
+      tail.url = '/logs/missing.log';
+      // test
+      await tail.poll();
+      // verify
+      expect(tail.stats().errors).to.deep.eq({total: 1, byClass: {ResourceNotFoundError: 1}});
+    });
+    it('should count the levels of the records', function() {
+      // setup
+      tail.parser = 'logfmt';
+      // test
+      tail.bufferLines('level=error msg=a\nlevel=info msg=b\nlevel=error msg=c\nnot logfmt\n', 0);
+      // verify
+      expect(tail.stats().levels).to.deep.eq({error: 2, info: 1});
+      expect(tail.stats().lines.total).to.eq(4);
+    });
+    it('should emit StatsEvent at the interval while it runs', function() {
+      // setup
+      const clock = sandbox.useFakeTimers();
+      const stub = sandbox.stub();
+      sandbox.stub(tail.transport, 'start');
+      tail.on(StatsEvent.name, stub);
+      tail.statsInterval = 1000;
+      // test
+      tail.start();
+      clock.tick(2000);
+      tail.stop();
+      clock.tick(2000);
+      // verify
+      sinon.assert.calledTwice(stub);
+      expect(stub.firstCall.args[0].detail).to.include({state: 'starting', fileSize: null});
+    });
+    it('should reject invalid intervals and windows', function() {
+      expect(() => tail.statsInterval = -1).to.throw(TypeError, `Property 'statsInterval' must be a non-negative integer, not -1`);
+      expect(() => tail.statsWindow = 0).to.throw(TypeError, `Property 'statsWindow' must be a positive integer, not 0`);
+    });
+  });
   describe('method #requestLogSize', function() {
     it('should return the content length of a successful request', async function() {
       // setup
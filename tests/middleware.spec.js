@@ -0,0 +1,301 @@
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+const express = require('express');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const http = require('http');
+const serveLogs = require('../middleware.cjs');
+import LogTail, { DataAppendedEvent, RotatedEvent } from '../logtail.js';
+import { waitFor } from './helpers.js';
+
+/**
+ * Opens an event stream and collects its messages
+ */
+function openEventStream(url, headers={}) {
+  const stream = {messages: [], ids: []};
+  return new Promise((resolve, reject) => {
+    stream.request = http.get(url, {headers: Object.assign({Accept: 'text/event-stream'}, headers)}, response => {
+      stream.response = response;
+      let buffer = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        buffer += chunk;
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        events.forEach(event => event.split('\n').forEach(field => {
+          if (field.startsWith('data: ')) {
+            stream.messages.push(JSON.parse(field.substring(6)));
+          } else if (field.startsWith('id: ')) {
+            stream.ids.push(field.substring(4));
+          }
+        }));
+      });
+      resolve(stream);
+    });
+    stream.request.on('error', reject);
+  });
+}
+
+describe('serveLogs', function() {
+  let root;
+  let server;
+  let baseUrl;
+  const start = opts => new Promise(resolve => {
+    const app = express();
+    app.set('env', 'test');
+    app.use('/logs', serveLogs(Object.assign({root, watchInterval: 20}, opts)));
+    server = app.listen(0, '127.0.0.1', () => {
+      serveLogs.attachWebSocket(server, Object.assign({root, path: '/logs', watchInterval: 20}, opts));
+      baseUrl = `http://127.0.0.1:${server.address().port}/logs`;
+      resolve();
+    });
+  });
+  beforeEach(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'logtail-'));
+    fs.writeFileSync(path.join(root, 'app.log'), 'line 1\nline 2\n');
+    fs.writeFileSync(path.join(root, 'other.txt'), 'other\n');
+    fs.writeFileSync(path.join(root, '.hidden.log'), 'secret\n');
+  });
+  afterEach(function(done) {
+    fs.readdirSync(root).forEach(name => fs.unwatchFile(path.join(root, name)));
+    fs.readdirSync(root).forEach(name => fs.unlinkSync(path.join(root, name)));
+    fs.rmdirSync(root);
+    if (server) {
+      server.closeAllConnections();
+      server.close(done);
+    } else {
+      done();
+    }
+    server = null;
+  });
+  it('should respond to HEAD with the size and validators', async function() {
+    // setup
+    await start();
+    // test
+    const response = await fetch(`${baseUrl}/app.log`, {method: 'HEAD'});
+    // verify
+    expect(response.status).to.eq(200);
+    expect(response.headers.get('Content-Length')).to.eq('14');
+    expect(response.headers.get('Accept-Ranges')).to.eq('bytes');
+    expect(response.headers.get('ETag')).to.match(/^"e-[0-9a-f]+"$/);
+    expect(response.headers.get('Last-Modified')).to.be.a('string');
+    expect(response.headers.get('X-Log-File-Id')).to.be.a('string');
+    expect(response.headers.get('Cache-Control')).to.eq('no-cache, no-transform');
+  });
+  it('should respond to a range request with the range', async function() {
+    // setup
+    await start();
+    // test
+    const response = await fetch(`${baseUrl}/app.log`, {headers: {Range: 'bytes=7-', 'Accept-Encoding': 'gzip'}});
+    // verify
+    expect(response.status).to.eq(206);
+    expect(response.headers.get('Content-Range')).to.eq('bytes 7-13/14');
+    expect(response.headers.get('Content-Encoding')).to.be.null;
+    expect(await response.text()).to.eq('line 2\n');
+  });
+  it('should respond to a suffix range request with the end of the log', async function() {
+    // setup
+    await start();
+    // test
+    const response = await fetch(`${baseUrl}/app.log`, {headers: {Range: 'bytes=-3'}});
+    // verify
+    expect(response.status).to.eq(206);
+    expect(response.headers.get('Content-Range')).to.eq('bytes 11-13/14');
+    expect(await response.text()).to.eq(' 2\n');
+  });
+  it('should respond with 416 and the size to an unsatisfiable range', async function() {
+    // setup
+    await start();
+    // test
+    const response = await fetch(`${baseUrl}/app.log`, {headers: {Range: 'bytes=20-'}});
+    // verify
+    expect(response.status).to.eq(416);
+    expect(response.headers.get('Content-Range')).to.eq('bytes */14');
+  });
+  it('should ignore the range if If-Range does not match', async function() {
+    // setup
+    await start();
+    // test
+    const response = await fetch(`${baseUrl}/app.log`, {headers: {Range: 'bytes=7-', 'If-Range': '"stale"'}});
+    // verify
+    expect(response.status).to.eq(200);
+    expect(await response.text()).to.eq('line 1\nline 2\n');
+  });
+  it('should respond with 304 if If-None-Match matches', async function() {
+    // setup
+    await start();
+    const etag = (await fetch(`${baseUrl}/app.log`, {method: 'HEAD'})).headers.get('ETag');
+    // test
+    const response = await fetch(`${baseUrl}/app.log`, {headers: {'If-None-Match': etag}});
+    // verify
+    expect(response.status).to.eq(304);
+  });
+  it('should list the logs', async function() {
+    // setup
+    await start();
+    // test
+    const response = await fetch(`${baseUrl}/`);
+    // verify
+    expect(response.status).to.eq(200);
+    const logs = await response.json();
+    expect(logs.map(log => log.name)).to.deep.eq(['app.log', 'other.txt']);
+    expect(logs[0].size).to.eq(14);
+    expect(new Date(logs[0].mtime).getTime()).to.eq(fs.statSync(path.join(root, 'app.log')).mtime.getTime());
+  });
+  it('should only serve and list allowed logs', async function() {
+    // setup
+    await start({allow: [/\.log$/]});
+    // test
+    const listing = await (await fetch(`${baseUrl}/`)).json();
+    const allowed = await fetch(`${baseUrl}/app.log`);
+    const denied = await fetch(`${baseUrl}/other.txt`);
+    // verify
+    expect(listing.map(log => log.name)).to.deep.eq(['app.log']);
+    expect(allowed.status).to.eq(200);
+    expect(denied.status).to.eq(404);
+  });
+  it('should not serve hidden files or files outside of the root', async function() {
+    // setup
+    await start();
+    // test
+    const hidden = await fetch(`${baseUrl}/.hidden.log`);
+    const outside = await fetch(`${baseUrl}/..%2F${path.basename(root)}%2Fapp.log`);
+    // verify
+    expect(hidden.status).to.eq(404);
+    expect(outside.status).to.eq(404);
+  });
+  it('should respond with 403 if the auth check fails', async function() {
+    // setup
+    await start({authorize: async req => req.headers.authorization === 'Bearer token'});
+    // test
+    const denied = await fetch(`${baseUrl}/app.log`);
+    const allowed = await fetch(`${baseUrl}/app.log`, {headers: {Authorization: 'Bearer token'}});
+    // verify
+    expect(denied.status).to.eq(403);
+    expect(allowed.status).to.eq(200);
+  });
+  it('should pass errors of the auth check to the error handler', async function() {
+    // setup
+    await start({authorize: () => { throw new Error('auth service down'); }});
+    // test
+    const response = await fetch(`${baseUrl}/app.log`);
+    // verify
+    expect(response.status).to.eq(500);
+  });
+  it('should push the end of the log and the data appended to it as Server-Sent Events', async function() {
+    // setup
+    await start();
+    const stream = await openEventStream(`${baseUrl}/app.log?tail=7`);
+    await waitFor(() => stream.messages.length === 1);
+    // test
+    fs.appendFileSync(path.join(root, 'app.log'), 'line 3\n');
+    await waitFor(() => stream.messages.length === 2);
+    stream.request.destroy();
+    // verify
+    expect(stream.response.headers['content-type']).to.eq('text/event-stream');
+    expect(stream.response.headers['cache-control']).to.eq('no-cache, no-transform');
+    expect(stream.messages).to.deep.eq([
+      {type: 'append', offset: 7, size: 14, data: Buffer.from('line 2\n').toString('base64')},
+      {type: 'append', offset: 14, size: 21, data: Buffer.from('line 3\n').toString('base64')},
+    ]);
+    expect(stream.ids).to.deep.eq(['14', '21']);
+  });
+  it('should resume the event stream from the offset or the Last-Event-ID', async function() {
+    // setup
+    await start();
+    // test
+    const fromQuery = await openEventStream(`${baseUrl}/app.log?offset=12`);
+    const fromHeader = await openEventStream(`${baseUrl}/app.log`, {'Last-Event-ID': '13'});
+    await waitFor(() => fromQuery.messages.length === 1 && fromHeader.messages.length === 1);
+    fromQuery.request.destroy();
+    fromHeader.request.destroy();
+    // verify
+    expect(fromQuery.messages[0].offset).to.eq(12);
+    expect(Buffer.from(fromQuery.messages[0].data, 'base64').toString()).to.eq('2\n');
+    expect(fromHeader.messages[0].offset).to.eq(13);
+  });
+  it('should push the rest of a rotated log before the new log', async function() {
+    // setup
+    await start();
+    const file = path.join(root, 'app.log');
+    const stream = await openEventStream(`${baseUrl}/app.log?offset=7&tail=2`);
+    await waitFor(() => stream.messages.length === 1);
+    // test
+    fs.appendFileSync(file, 'last\n');
+    fs.renameSync(file, path.join(root, 'app.log.1'));
+    fs.writeFileSync(file, 'new\n');
+    await waitFor(() => stream.messages.length === 4);
+    stream.request.destroy();
+    // verify
+    const messages = stream.messages.map(message => message.type === 'append' ? Buffer.from(message.data, 'base64').toString() : message);
+    expect(messages).to.deep.eq(['line 2\n', 'last\n', {type: 'rotated', oldSize: 19, size: 4}, 'new\n']);
+  });
+  it('should notify the event stream that the log was truncated', async function() {
+    // setup
+    await start();
+    const stream = await openEventStream(`${baseUrl}/app.log?offset=7`);
+    await waitFor(() => stream.messages.length === 1);
+    // test
+    fs.truncateSync(path.join(root, 'app.log'), 0);
+    await waitFor(() => stream.messages.length === 2);
+    stream.request.destroy();
+    // verify
+    expect(stream.messages[1]).to.deep.eq({type: 'truncated', oldSize: 14, size: 0});
+  });
+  it('should not push logs that are not allowed', async function() {
+    // setup
+    await start({allow: [/\.log$/]});
+    // test
+    const stream = await openEventStream(`${baseUrl}/other.txt`);
+    stream.request.destroy();
+    // verify
+    expect(stream.response.statusCode).to.eq(404);
+  });
+  it('should tail a log via WebSocket with LogTail', async function() {
+    // setup
+    await start();
+    global.WebSocket = WebSocket;
+    const tail = new LogTail({url: `${baseUrl}/app.log`, transport: 'websocket', loadBytes: 10});
+    const appended = [];
+    const rotated = sinon.spy();
+    tail.on(DataAppendedEvent.name, evt => appended.push(evt.detail));
+    tail.on(RotatedEvent.name, rotated);
+    try {
+      // test
+      tail.f();
+      await waitFor(() => appended.length === 1);
+      fs.appendFileSync(path.join(root, 'app.log'), 'line 3\n');
+      await waitFor(() => appended.length === 2);
+      fs.renameSync(path.join(root, 'app.log'), path.join(root, 'app.log.1'));
+      fs.writeFileSync(path.join(root, 'app.log'), 'new\n');
+      await waitFor(() => appended.length === 3);
+      // verify
+      expect(appended).to.deep.eq(['line 2\n', 'line 3\n', 'new\n']);
+      sinon.assert.calledOnce(rotated);
+      expect(tail.logData).to.eq('line 2\nline 3\nnew\n');
+    } finally {
+      tail.paused = true;
+      delete global.WebSocket;
+    }
+  });
+  it('should reject WebSockets for logs that are not allowed', async function() {
+    // setup
+    await start({authorize: () => false});
+    // test
+    const status = await new Promise(resolve => {
+      const socket = new WebSocket(`${baseUrl.replace('http:', 'ws:')}/app.log`);
+      socket.on('unexpected-response', (request, response) => resolve(response.statusCode));
+      socket.on('error', () => {});
+    });
+    // verify
+    expect(status).to.eq(403);
+  });
+  it('should reject invalid options', function() {
+    expect(() => serveLogs({})).to.throw(TypeError);
+    expect(() => serveLogs({root, allow: 'app.log'})).to.throw(TypeError);
+  });
+});
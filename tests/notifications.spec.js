@@ -0,0 +1,67 @@
+import LogTail, { AlertEvent } from '../logtail.js';
+import { notifyAlerts, formatAlert } from '../notifications.js';
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+
+describe('notifyAlerts', function() {
+  let tail;
+  let shown;
+  beforeEach(function() {
+    tail = new LogTail({url: '/logs/app.log'});
+    tail.addAlert({name: 'errors', match: 'ERROR'});
+    shown = [];
+    global.Notification = class {
+      constructor(title, opts) {
+        shown.push({title, body: opts.body, tag: opts.tag});
+      }
+    };
+    global.Notification.permission = 'default';
+    global.Notification.requestPermission = sinon.stub().callsFake(async () => {
+      global.Notification.permission = 'granted';
+    });
+  });
+  afterEach(function() {
+    clearTimeout(tail._lineFlushTimer);
+    delete global.Notification;
+  });
+  it('should ask for permission and show a notification for each alert', async function() {
+    // test
+    expect(await notifyAlerts(tail)).to.be.true;
+    tail.bufferLines('ok\nERROR a\nERROR b\n', 0);
+    // verify
+    sinon.assert.calledOnce(global.Notification.requestPermission);
+    expect(shown).to.deep.eq([
+      {title: 'errors', body: 'ERROR a', tag: 'errors'},
+      {title: 'errors', body: 'ERROR b', tag: 'errors'},
+    ]);
+  });
+  it('should not show notifications if they are denied', async function() {
+    // setup
+    global.Notification.permission = 'denied';
+    // test
+    expect(await notifyAlerts(tail)).to.be.false;
+    tail.bufferLines('ERROR a\n', 0);
+    // verify
+    sinon.assert.notCalled(global.Notification.requestPermission);
+    expect(shown).to.be.empty;
+  });
+  it('should stop when the signal is aborted', async function() {
+    // setup
+    const controller = new AbortController();
+    await notifyAlerts(tail, {signal: controller.signal});
+    // test
+    controller.abort();
+    tail.bufferLines('ERROR a\n', 0);
+    // verify
+    expect(shown).to.be.empty;
+  });
+  it('should mention the number of lines', function() {
+    // setup
+    const lines = [{text: 'ERROR a'}, {text: 'ERROR b'}];
+    // test
+    const notification = formatAlert(new AlertEvent({}, 'errors', null, lines, null, {count: 2}));
+    // verify
+    expect(notification).to.deep.eq({title: 'errors (2 lines)', body: 'ERROR b', tag: 'errors'});
+  });
+});
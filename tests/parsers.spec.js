@@ -0,0 +1,149 @@
+import { parseLine, registerParser, getParser, normalizeLevel, parseTimestamp, ParseError } from '../parsers.js';
+const chai = require('chai');
+const expect = chai.expect;
+
+describe('parsers', function() {
+  describe('method #normalizeLevel', function() {
+    it('should map names, aliases and numeric levels to the known levels', function() {
+      expect(normalizeLevel('ERROR')).to.eq('error');
+      expect(normalizeLevel('Warning')).to.eq('warn');
+      expect(normalizeLevel('crit')).to.eq('fatal');
+      expect(normalizeLevel(30)).to.eq('info');
+      expect(normalizeLevel('50')).to.eq('error');
+    });
+    it('should return null for unknown levels', function() {
+      expect(normalizeLevel('loud')).to.be.null;
+      expect(normalizeLevel(undefined)).to.be.null;
+    });
+  });
+  describe('method #parseTimestamp', function() {
+    it('should parse ISO strings, milliseconds and seconds', function() {
+      expect(parseTimestamp('2019-02-06T10:00:00.000Z').getTime()).to.eq(1549447200000);
+      expect(parseTimestamp(1549447200000).getTime()).to.eq(1549447200000);
+      expect(parseTimestamp(1549447200).getTime()).to.eq(1549447200000);
+    });
+    it('should return null for invalid timestamps', function() {
+      expect(parseTimestamp('yesterday')).to.be.null;
+      expect(parseTimestamp(null)).to.be.null;
+    });
+  });
+  describe('method #parseLine', function() {
+    it('should parse JSON lines', function() {
+      // test
+      const record = parseLine('ndjson', '{"time":"2019-02-06T10:00:00.000Z","level":50,"msg":"boom","reqId":"abc"}');
+      // verify
+      expect(record).to.deep.eq({
+        timestamp: new Date('2019-02-06T10:00:00.000Z'),
+        level: 'error',
+        message: 'boom',
+        fields: {reqId: 'abc'},
+        raw: '{"time":"2019-02-06T10:00:00.000Z","level":50,"msg":"boom","reqId":"abc"}',
+      });
+    });
+    it('should parse logfmt', function() {
+      // test
+      const record = parseLine('logfmt', 'ts=2019-02-06T10:00:00Z level=warn msg="slow \\"query\\"" duration=1.2s cached');
+      // verify
+      expect(record.timestamp).to.deep.eq(new Date('2019-02-06T10:00:00Z'));
+      expect(record.level).to.eq('warn');
+      expect(record.message).to.eq('slow "query"');
+      expect(record.fields).to.deep.eq({duration: '1.2s', cached: true});
+    });
+    it('should parse the common log format', function() {
+      // test
+      const record = parseLine('clf', '127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /apache_pb.gif HTTP/1.0" 200 2326');
+      // verify
+      expect(record.timestamp).to.deep.eq(new Date('2000-10-10T20:55:36Z'));
+      expect(record.level).to.eq('info');
+      expect(record.message).to.eq('GET /apache_pb.gif HTTP/1.0');
+      expect(record.fields).to.deep.eq({
+        host: '127.0.0.1',
+        ident: null,
+        user: 'frank',
+        method: 'GET',
+        path: '/apache_pb.gif',
+        protocol: 'HTTP/1.0',
+        status: 200,
+        size: 2326,
+      });
+    });
+    it('should parse the combined log format and derive the level from the status', function() {
+      // test
+      const record = parseLine('clf', '10.0.0.1 - - [10/Oct/2000:13:55:36 +0000] "POST /login HTTP/1.1" 503 - "http://example.com/" "Mozilla/5.0"');
+      // verify
+      expect(record.level).to.eq('error');
+      expect(record.fields.size).to.eq(0);
+      expect(record.fields.referer).to.eq('http://example.com/');
+      expect(record.fields.userAgent).to.eq('Mozilla/5.0');
+    });
+    it('should parse RFC 5424 syslog messages', function() {
+      // test
+      const record = parseLine('syslog', '<165>1 2003-10-11T22:14:15.003Z mymachine.example.com evntslog - ID47 [exampleSDID@32473 iut="3" eventSource="Application"] An application event');
+      // verify
+      expect(record.timestamp).to.deep.eq(new Date('2003-10-11T22:14:15.003Z'));
+      expect(record.level).to.eq('info');
+      expect(record.message).to.eq('An application event');
+      expect(record.fields).to.deep.eq({
+        facility: 20,
+        severity: 5,
+        version: 1,
+        hostname: 'mymachine.example.com',
+        appName: 'evntslog',
+        procId: null,
+        msgId: 'ID47',
+        structuredData: {
+          'exampleSDID@32473': {iut: '3', eventSource: 'Application'},
+        },
+      });
+    });
+    it('should parse syslog messages without structured data or a message', function() {
+      // test
+      const record = parseLine('syslog', '<11>1 - host app 123 - -');
+      // verify
+      expect(record.level).to.eq('error');
+      expect(record.timestamp).to.be.null;
+      expect(record.message).to.eq('');
+      expect(record.fields.structuredData).to.deep.eq({});
+    });
+    it('should flag lines that fail to parse', function() {
+      // test
+      const record = parseLine('ndjson', 'not json');
+      // verify
+      expect(record.parseError).to.be.true;
+      expect(record.error).to.be.instanceOf(ParseError);
+      expect(record.message).to.eq('not json');
+      expect(record.raw).to.eq('not json');
+    });
+    it('should flag lines that are in none of the formats', function() {
+      expect(parseLine('logfmt', 'just text').parseError).to.be.true;
+      expect(parseLine('clf', 'just text').parseError).to.be.true;
+      expect(parseLine('syslog', 'just text').parseError).to.be.true;
+    });
+    it('should accept a parser function', function() {
+      // test
+      const record = parseLine(line => ({level: line.split(' ')[0], message: line.split(' ')[1]}), 'ERROR failed');
+      // verify
+      expect(record.level).to.eq('error');
+      expect(record.message).to.eq('failed');
+      expect(record.fields).to.deep.eq({});
+    });
+    it('should throw for an unknown parser', function() {
+      expect(() => parseLine('unknown', 'line')).to.throw(TypeError);
+    });
+  });
+  describe('method #registerParser', function() {
+    it('should make the parser available by name', function() {
+      // setup
+      const parse = line => ({message: line.toUpperCase()});
+      // test
+      registerParser('upper', parse);
+      // verify
+      expect(getParser('upper')).to.eq(parse);
+      expect(parseLine('upper', 'shout').message).to.eq('SHOUT');
+    });
+    it('should reject invalid parsers', function() {
+      expect(() => registerParser('', () => ({}))).to.throw(TypeError);
+      expect(() => registerParser('broken', 'not a function')).to.throw(TypeError);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { MemoryAdapter, LocalStorageAdapter, PERSISTENCE_ADAPTERS } from '../persistence.js';
+const chai = require('chai');
+const expect = chai.expect;
+
+/**
+ * A fake Storage
+ */
+function storage() {
+  const items = {};
+  return {
+    items,
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => items[key] = String(value),
+  };
+}
+
+describe('MemoryAdapter', function() {
+  it('should load the record that was saved for the URL', function() {
+    // setup
+    const adapter = new MemoryAdapter();
+    // test
+    adapter.save('/logs/app.log', {offset: 10});
+    // verify
+    expect(adapter.load('/logs/app.log')).to.deep.eq({offset: 10});
+    expect(adapter.load('/logs/other.log')).to.be.null;
+  });
+});
+
+describe('LocalStorageAdapter', function() {
+  it('should store the records as JSON under the prefix', function() {
+    // setup
+    const fake = storage();
+    const adapter = new LocalStorageAdapter({storage: fake, prefix: 'tail:'});
+    // test
+    adapter.save('/logs/app.log', {offset: 10, identity: {etag: '"1"'}});
+    // verify
+    expect(fake.items).to.deep.eq({'tail:/logs/app.log': '{"offset":10,"identity":{"etag":"\\"1\\""}}'});
+    expect(adapter.load('/logs/app.log')).to.deep.eq({offset: 10, identity: {etag: '"1"'}});
+    expect(adapter.load('/logs/other.log')).to.be.null;
+  });
+  it('should be registered by name', function() {
+    expect(PERSISTENCE_ADAPTERS.localStorage).to.eq(LocalStorageAdapter);
+  });
+});
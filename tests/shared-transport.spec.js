@@ -0,0 +1,143 @@
+import LogTail, { DataAppendedEvent, ResourceNotFoundError, MissingHeaderError, GaveUpEvent } from '../logtail.js';
+import SharedTransport from '../shared-transport.js';
+import { waitFor } from './helpers.js';
+const chai = require('chai');
+const expect = chai.expect;
+const express = require('express');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const serveLogs = require('../middleware.cjs');
+
+describe('SharedTransport', function() {
+  let root;
+  let server;
+  let url;
+  let tails;
+  let omitContentRange;
+  const createTail = () => {
+    const tail = new LogTail({url, transport: 'shared', pollInterval: 20, loadBytes: 10});
+    tail.requests = 0;
+    tail.fetch = (...args) => {
+      tail.requests++;
+      return fetch(...args);
+    };
+    tail.transport.heartbeatInterval = 20;
+    tail.transport.electionTimeout = 60;
+    tail.appended = [];
+    tail.on(DataAppendedEvent.name, evt => tail.appended.push(evt.detail));
+    tails.push(tail);
+    return tail;
+  };
+  beforeEach(function(done) {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'logtail-'));
+    fs.writeFileSync(path.join(root, 'app.log'), 'line 1\nline 2\n');
+    tails = [];
+    omitContentRange = false;
+    const app = express();
+    app.set('env', 'test');
+    app.use((req, res, next) => omitContentRange && req.headers.range ? res.status(206).send('x') : next());
+    app.use('/logs', serveLogs({root}));
+    server = app.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/logs/app.log`;
+      done();
+    });
+  });
+  afterEach(function(done) {
+    tails.forEach(tail => tail.destroy());
+    fs.readdirSync(root).forEach(name => fs.unlinkSync(path.join(root, name)));
+    fs.rmdirSync(root);
+    server.closeAllConnections();
+    server.close(done);
+  });
+  it('should be registered as shared', function() {
+    expect(createTail().transport).to.be.instanceOf(SharedTransport);
+  });
+  it('should only poll in the leader and broadcast the data to the followers', async function() {
+    // setup
+    const leader = createTail();
+    leader.start();
+    await waitFor(() => leader.transport.leader);
+    const follower = createTail();
+    follower.start();
+    await waitFor(() => follower.appended.length === 1 && follower.state === 'running');
+    const requests = follower.requests;
+    // test
+    fs.appendFileSync(path.join(root, 'app.log'), 'line 3\n');
+    await waitFor(() => follower.appended.length === 2);
+    // verify
+    expect(leader.appended).to.deep.eq(['line 2\n', 'line 3\n']);
+    expect(follower.appended).to.deep.eq(['line 2\n', 'line 3\n']);
+    expect(follower.transport.leader).to.be.false;
+    expect(follower.requests).to.eq(requests);
+    expect(leader.requests).to.be.above(requests);
+  });
+  it('should fail over when the leader stops', async function() {
+    // setup
+    const leader = createTail();
+    leader.start();
+    await waitFor(() => leader.transport.leader);
+    const follower = createTail();
+    follower.start();
+    await waitFor(() => follower.appended.length === 1);
+    // test
+    leader.stop();
+    await waitFor(() => follower.transport.leader);
+    fs.appendFileSync(path.join(root, 'app.log'), 'line 3\n');
+    await waitFor(() => follower.appended.length === 2);
+    // verify
+    expect(leader.transport.leader).to.be.false;
+    expect(follower.appended).to.deep.eq(['line 2\n', 'line 3\n']);
+  });
+  it('should elect a single leader', async function() {
+    // setup
+    const first = createTail();
+    const second = createTail();
+    // test
+    first.start();
+    second.start();
+    await waitFor(() => first.transport.leader || second.transport.leader);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    // verify
+    expect([first.transport.leader, second.transport.leader].filter(leader => leader)).to.have.lengthOf(1);
+  });
+  it('should relay the errors of the leader', async function() {
+    // setup
+    const leader = createTail();
+    leader.start();
+    await waitFor(() => leader.transport.leader);
+    const follower = createTail();
+    const errors = [];
+    follower.on(ResourceNotFoundError.name, error => errors.push(error));
+    follower.start();
+    await waitFor(() => follower.appended.length === 1);
+    // test
+    fs.unlinkSync(path.join(root, 'app.log'));
+    await waitFor(() => errors.length > 0);
+    // verify
+    expect(errors[0]).to.be.instanceOf(ResourceNotFoundError);
+    expect(errors[0].uri).to.eq(url);
+  });
+  it('should relay errors whose class overrides its name', async function() {
+    // setup
+    const leader = createTail();
+    leader.start();
+    await waitFor(() => leader.transport.leader);
+    const follower = createTail();
+    const errors = [];
+    const gaveUp = [];
+    follower.on(MissingHeaderError.name, error => errors.push(error));
+    follower.on(GaveUpEvent.name, evt => gaveUp.push(evt.detail.error));
+    follower.start();
+    await waitFor(() => follower.appended.length === 1);
+    // test
+    omitContentRange = true;
+    await waitFor(() => gaveUp.length > 0);
+    // verify
+    expect(errors[0]).to.be.instanceOf(MissingHeaderError);
+    expect(errors[0].missingHeader).to.eq('content-range');
+    expect(gaveUp[0]).to.be.instanceOf(MissingHeaderError);
+    expect(follower.isRetryable(gaveUp[0])).to.be.false;
+  });
+});
@@ -0,0 +1,57 @@
+import { TailStats } from '../stats.js';
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+
+describe('TailStats', function() {
+  let clock;
+  let stats;
+  beforeEach(function() {
+    clock = sinon.useFakeTimers();
+    stats = new TailStats(10 * 1000);
+  });
+  afterEach(function() {
+    clock.restore();
+  });
+  it('should compute the rates over the window', function() {
+    // setup
+    clock.tick(5000);
+    stats.data(500);
+    stats.linesAppended(10, null);
+    // test & verify
+    expect(stats.snapshot().bytes).to.deep.eq({total: 500, perSecond: 100});
+    clock.tick(5000);
+    expect(stats.snapshot().lines).to.deep.eq({total: 10, perSecond: 1});
+    clock.tick(5001);
+    expect(stats.snapshot().lines).to.deep.eq({total: 10, perSecond: 0});
+  });
+  it('should compute the latencies of the requests', function() {
+    // setup
+    stats.request('head', 30);
+    stats.request('range', 100);
+    stats.request('range', 50);
+    // test
+    const requests = stats.snapshot().requests;
+    // verify
+    expect(requests.head).to.deep.eq({count: 1, last: 30, average: 30, max: 30});
+    expect(requests.range).to.deep.eq({count: 2, last: 50, average: 75, max: 100});
+  });
+  it('should keep the totals after the samples left the window', function() {
+    // setup
+    stats.request('range', 100);
+    stats.linesAppended(3, {error: 2, info: 1});
+    stats.error(new TypeError());
+    stats.poll(true);
+    // test
+    clock.tick(20 * 1000);
+    const snapshot = stats.snapshot();
+    // verify
+    expect(snapshot.requests.range).to.deep.eq({count: 1, last: null, average: null, max: null});
+    expect(snapshot.lines.total).to.eq(3);
+    expect(snapshot.levels).to.be.null;
+    expect(snapshot.errors).to.deep.eq({total: 1, byClass: {TypeError: 1}});
+    expect(snapshot.polls).to.deep.eq({total: 1, withData: 1, empty: 0});
+    expect(snapshot.sinceContact).to.eq(20 * 1000);
+    expect(snapshot.sinceData).to.be.null;
+  });
+});
@@ -0,0 +1,179 @@
+import LogTail, { EventSourceTransport } from '../logtail.js';
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+const { JSDOM } = require('jsdom');
+
+describe('TailLogElement', function() {
+  const sandbox = sinon.createSandbox();
+  const globals = ['window', 'document', 'HTMLElement', 'customElements', 'CustomEvent'];
+  const saved = {};
+  let dom;
+  let element;
+  before(function() {
+    dom = new JSDOM('<!DOCTYPE html><body></body>');
+    globals.forEach(name => {
+      saved[name] = global[name];
+      global[name] = dom.window[name];
+    });
+    require('../tail-log.js');
+  });
+  after(function() {
+    globals.forEach(name => global[name] = saved[name]);
+  });
+  beforeEach(function() {
+    sandbox.stub(LogTail.prototype, 'poll').resolves();
+    element = document.createElement('tail-log');
+    element.dataset.url = '/logs/test.log';
+    element.dataset.pollInterval = '2000';
+    element.dataset.loadBytes = '1024';
+    document.body.appendChild(element);
+  });
+  afterEach(function() {
+    element.remove();
+    sandbox.restore();
+  });
+  it('should be registered as tail-log', function() {
+    expect(customElements.get('tail-log')).to.be.a('function');
+  });
+  it('should start tailing the log from its attributes once connected', function() {
+    // verify
+    expect(element.tail).to.be.instanceOf(LogTail);
+    expect(element.tail.url).to.eq('/logs/test.log');
+    expect(element.tail.pollInterval).to.eq(2000);
+    expect(element.tail.loadBytes).to.eq(1024);
+    sinon.assert.calledOnce(LogTail.prototype.poll);
+    expect(element.status).to.eq('live');
+  });
+  it('should render appended data as text', function() {
+    // test
+    element.tail.emit('data-appended', {detail: '<img src=x onerror="alert(1)">\n'});
+    // verify
+    const output = element.shadowRoot.querySelector('.output');
+    expect(output.textContent).to.eq('<img src=x onerror="alert(1)">\n');
+    expect(output.querySelector('img')).to.be.null;
+  });
+  it('should render ANSI colors across chunks with the data-ansi attribute', function() {
+    // setup
+    element.setAttribute('data-ansi', '');
+    // test
+    element.tail.emit('data-appended', {detail: '\x1b[31mred <b>'});
+    element.tail.emit('data-appended', {detail: 'still red\x1b[0m plain\n'});
+    // verify
+    const output = element.shadowRoot.querySelector('.output');
+    const spans = output.querySelectorAll('span');
+    expect(spans.length).to.eq(2);
+    expect(spans[0].textContent).to.eq('red <b>');
+    expect(spans[1].textContent).to.eq('still red');
+    expect(spans[1].getAttribute('style')).to.eq('color:#cd0000');
+    expect(output.textContent).to.eq('red <b>still red plain\n');
+    expect(output.querySelector('b')).to.be.null;
+  });
+  it('should follow new data while scrolled to the bottom and stop once scrolled up', function() {
+    // setup
+    const output = element.shadowRoot.querySelector('.output');
+    Object.defineProperty(output, 'scrollHeight', {value: 1000, configurable: true});
+    Object.defineProperty(output, 'clientHeight', {value: 100});
+    // test
+    element.append('line 1\n');
+    const followed = output.scrollTop;
+    output.scrollTop = 200;
+    output.dispatchEvent(new dom.window.Event('scroll'));
+    Object.defineProperty(output, 'scrollHeight', {value: 2000});
+    element.append('line 2\n');
+    // verify
+    expect(followed).to.eq(1000);
+    expect(output.scrollTop).to.eq(200);
+  });
+  it('should pause and resume polling via its controls', function() {
+    // setup
+    const pauseButton = element.shadowRoot.querySelector('.pause');
+    // test
+    pauseButton.click();
+    const pausedStatus = element.status;
+    const pausedLabel = pauseButton.textContent;
+    pauseButton.click();
+    // verify
+    expect(pausedStatus).to.eq('paused');
+    expect(pausedLabel).to.eq('Resume');
+    expect(element.paused).to.be.false;
+    expect(element.status).to.eq('live');
+    sinon.assert.calledTwice(LogTail.prototype.poll);
+  });
+  it('should clear the output via its controls', function() {
+    // setup
+    element.append('some text');
+    // test
+    element.shadowRoot.querySelector('.clear').click();
+    // verify
+    expect(element.shadowRoot.querySelector('.output').textContent).to.eq('');
+  });
+  it('should show the connection status', function() {
+    // setup
+    const stub = sandbox.stub();
+    element.addEventListener('status-change', stub);
+    // test
+    element.tail.emit('reconnecting', {});
+    const reconnecting = element.shadowRoot.querySelector('.status').textContent;
+    element.tail.emit('gave-up', {});
+    // verify
+    expect(reconnecting).to.eq('Reconnecting');
+    expect(element.status).to.eq('disconnected');
+    sinon.assert.calledTwice(stub);
+  });
+  it('should restart with the new url when its attributes change', function() {
+    // setup
+    const previous = element.tail;
+    const output = element.shadowRoot.querySelector('.output');
+    previous.emit('data-appended', {detail: 'test line\n'});
+    // test
+    element.dataset.url = '/logs/other.log';
+    element.tail.emit('data-appended', {detail: 'other line\n'});
+    // verify
+    expect(element.tail).not.to.eq(previous);
+    expect(previous.paused).to.be.true;
+    expect(element.tail.url).to.eq('/logs/other.log');
+    expect(output.textContent).to.eq('other line\n');
+  });
+  it('should start over when data-load-bytes changes', function() {
+    // setup
+    const output = element.shadowRoot.querySelector('.output');
+    element.tail.emit('data-appended', {detail: 'last line\n'});
+    // test
+    element.dataset.loadBytes = '2048';
+    element.tail.emit('data-appended', {detail: 'last line\n'});
+    // verify
+    expect(element.tail.loadBytes).to.eq(2048);
+    expect(output.textContent).to.eq('last line\n');
+  });
+  it('should keep the tail and its output when data-poll-interval changes', function() {
+    // setup
+    const tail = element.tail;
+    const output = element.shadowRoot.querySelector('.output');
+    tail.emit('data-appended', {detail: 'last line\n'});
+    // test
+    element.dataset.pollInterval = '5000';
+    // verify
+    expect(element.tail).to.eq(tail);
+    expect(tail.pollInterval).to.eq(5000);
+    expect(output.textContent).to.eq('last line\n');
+  });
+  it('should use the transport of the data-transport attribute', function() {
+    // setup
+    const start = sandbox.stub(EventSourceTransport.prototype, 'start');
+    // test
+    element.dataset.transport = 'sse';
+    // verify
+    expect(element.tail.transport).to.be.instanceOf(EventSourceTransport);
+    sinon.assert.calledOnce(start);
+  });
+  it('should stop polling once disconnected', function() {
+    // setup
+    const tail = element.tail;
+    // test
+    element.remove();
+    // verify
+    expect(tail.paused).to.be.true;
+    expect(element.tail).to.be.null;
+  });
+});
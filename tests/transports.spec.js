@@ -0,0 +1,221 @@
+import LogTail, { DataAppendedEvent, LinesAppendedEvent, TruncatedEvent, ReconnectingEvent, ReconnectedEvent, GaveUpEvent, LogFileTruncatedError, FetchError, Transport } from '../logtail.js';
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+
+/**
+ * A fake EventSource that records the connections and lets the tests push messages
+ */
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  send(message) {
+    this.onmessage({data: JSON.stringify(message)});
+  }
+
+  append(offset, text, size) {
+    const data = Buffer.from(text);
+    this.send({type: 'append', offset, size: size || offset + data.length, data: data.toString('base64')});
+  }
+
+  static get last() {
+    return FakeEventSource.instances[FakeEventSource.instances.length - 1];
+  }
+}
+
+describe('transports', function() {
+  const sandbox = sinon.createSandbox();
+  let tail;
+  let appended;
+  beforeEach(function() {
+    FakeEventSource.instances = [];
+    global.EventSource = FakeEventSource;
+    tail = new LogTail({url: '/logs/file.log', transport: 'sse', loadBytes: 100});
+    appended = [];
+    tail.on(DataAppendedEvent.name, evt => appended.push(evt.detail));
+    tail.on('error', () => {});
+  });
+  afterEach(function() {
+    tail.paused = true;
+    delete global.EventSource;
+    sandbox.restore();
+  });
+  it('should connect for the last loadBytes and emit the pushed data', function() {
+    // test
+    tail.f();
+    const source = FakeEventSource.last;
+    source.onopen();
+    source.append(150, 'partial\nline 1\n', 165);
+    source.append(165, 'line 2\n');
+    // verify
+    expect(source.url).to.eq('/logs/file.log?tail=100');
+    expect(appended).to.deep.eq(['line 1\n', 'line 2\n']);
+    expect(tail.logData).to.eq('line 1\nline 2\n');
+    expect(tail.earliestOffset).to.eq(158);
+    expect(tail.logFileSize).to.eq(172);
+  });
+  it('should use the stream URL', function() {
+    // setup
+    tail.streamUrl = '/stream?file=file.log';
+    // test
+    tail.f();
+    // verify
+    expect(FakeEventSource.last.url).to.eq('/stream?file=file.log&tail=100');
+  });
+  it('should resume from the last received byte after the connection is lost', function() {
+    // setup
+    const clock = sandbox.useFakeTimers();
+    sandbox.stub(Math, 'random').returns(0);
+    const reconnecting = sinon.spy();
+    const reconnected = sinon.spy();
+    const errors = [];
+    tail.on(ReconnectingEvent.name, reconnecting);
+    tail.on(ReconnectedEvent.name, reconnected);
+    tail.on('error', error => errors.push(error));
+    tail.f();
+    const first = FakeEventSource.last;
+    first.append(0, 'line 1\n');
+    // test
+    first.onerror({});
+    clock.tick(1000);
+    const second = FakeEventSource.last;
+    second.onopen();
+    second.append(7, 'line 2\n');
+    // verify
+    expect(first.closed).to.be.true;
+    expect(errors[0]).to.be.instanceOf(FetchError);
+    sinon.assert.calledOnce(reconnecting);
+    expect(reconnecting.firstCall.args[0].detail.delay).to.eq(1000);
+    expect(second.url).to.eq('/logs/file.log?offset=7');
+    sinon.assert.calledOnce(reconnected);
+    expect(appended).to.deep.eq(['line 1\n', 'line 2\n']);
+  });
+  it('should skip bytes that were already received', function() {
+    // setup
+    tail.f();
+    const source = FakeEventSource.last;
+    source.append(0, 'line 1\n');
+    // test
+    source.append(3, 'e 1\nline 2\n');
+    // verify
+    expect(appended).to.deep.eq(['line 1\n', 'line 2\n']);
+  });
+  it('should reconnect if bytes are missing', function() {
+    // setup
+    tail.f();
+    const source = FakeEventSource.last;
+    source.append(0, 'line 1\n');
+    // test
+    source.append(20, 'line 3\n');
+    // verify
+    expect(source.closed).to.be.true;
+    expect(FakeEventSource.last.url).to.eq('/logs/file.log?offset=7');
+    expect(appended).to.deep.eq(['line 1\n']);
+  });
+  it('should decode characters that are split across messages', function() {
+    // setup
+    const bytes = Buffer.from('é\n');
+    tail.f();
+    const source = FakeEventSource.last;
+    // test
+    source.send({type: 'append', offset: 0, size: 1, data: bytes.subarray(0, 1).toString('base64')});
+    source.send({type: 'append', offset: 1, size: 3, data: bytes.subarray(1).toString('base64')});
+    // verify
+    expect(appended).to.deep.eq(['é\n']);
+  });
+  it('should re-sync with the log after it was truncated', function() {
+    // setup
+    const truncated = sinon.spy();
+    const lines = [];
+    tail.lineMode = true;
+    tail.on(TruncatedEvent.name, truncated);
+    tail.on(LinesAppendedEvent.name, evt => lines.push(...evt.detail));
+    tail.f();
+    const source = FakeEventSource.last;
+    source.append(0, 'old line\n');
+    // test
+    source.send({type: 'truncated', oldSize: 9, size: 0});
+    source.append(0, 'new line\n');
+    // verify
+    sinon.assert.calledOnce(truncated);
+    expect(truncated.firstCall.args[0].detail).to.deep.eq({oldSize: 9, newSize: 0});
+    expect(appended).to.deep.eq(['old line\n', 'new line\n']);
+    expect(lines.map(line => line.byteOffset)).to.deep.eq([0, 0]);
+    expect(tail.startReached).to.be.true;
+  });
+  it('should take the offsets of a replaced log from the first bytes that follow', function() {
+    // setup
+    const lines = [];
+    tail.lineMode = true;
+    tail.on(LinesAppendedEvent.name, evt => lines.push(...evt.detail));
+    tail.f();
+    const source = FakeEventSource.last;
+    source.append(0, 'old line\n');
+    // test
+    source.send({type: 'rotated', oldSize: 9, size: 19});
+    source.append(5, 'tial\nnew line\n');
+    // verify
+    expect(lines.map(line => [line.text, line.byteOffset])).to.deep.eq([['old line', 0], ['new line', 10]]);
+    expect(tail.earliestOffset).to.eq(10);
+    expect(tail.startReached).to.be.false;
+  });
+  it('should give up if the log was truncated and followRotation is off', function() {
+    // setup
+    const errors = [];
+    const gaveUp = sinon.spy();
+    tail.followRotation = false;
+    tail.on('error', error => errors.push(error));
+    tail.on(GaveUpEvent.name, gaveUp);
+    tail.f();
+    const source = FakeEventSource.last;
+    // test
+    source.send({type: 'truncated', oldSize: 9, size: 0});
+    // verify
+    expect(errors[0]).to.be.instanceOf(LogFileTruncatedError);
+    expect(source.closed).to.be.true;
+    sinon.assert.calledOnce(gaveUp);
+    expect(FakeEventSource.instances.length).to.eq(1);
+  });
+  it('should disconnect when paused and resume from the last received byte', function() {
+    // setup
+    tail.f();
+    const source = FakeEventSource.last;
+    source.append(0, 'line 1\n');
+    // test
+    tail.paused = true;
+    source.append(7, 'ignored\n');
+    tail.paused = false;
+    tail.f();
+    // verify
+    expect(source.closed).to.be.true;
+    expect(appended).to.deep.eq(['line 1\n']);
+    expect(FakeEventSource.last.url).to.eq('/logs/file.log?offset=7');
+  });
+  it('should connect WebSockets to the URL with a ws scheme', function() {
+    // setup
+    tail = new LogTail({url: 'https://example.com/logs/file.log', transport: 'websocket'});
+    // verify
+    expect(tail.transport.url).to.eq('wss://example.com/logs/file.log?tail=30720');
+  });
+  it('should accept a subclass of Transport', function() {
+    // setup
+    class CustomTransport extends Transport {}
+    // test
+    tail.transport = CustomTransport;
+    // verify
+    expect(tail.transport).to.be.instanceOf(CustomTransport);
+    expect(tail.transport.tail).to.eq(tail);
+  });
+  it('should reject unknown transports', function() {
+    expect(() => tail.transport = 'carrier-pigeon').to.throw(TypeError);
+    expect(() => tail.transport = {}).to.throw(TypeError);
+  });
+});
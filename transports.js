@@ -0,0 +1,250 @@
+/**
+ * Transports deliver the bytes appended to a log to a LogTail. The polling transport sends Range requests at the poll
+ * interval, the streaming transports receive the bytes as they're pushed by the server, e.g. by the middleware in
+ * middleware.cjs. A streaming server sends JSON messages with a 'type':
+ * - 'append': the 'data' (base64) that was appended at byte 'offset', and the 'size' of the file afterwards
+ * - 'truncated' and 'rotated': the file was truncated or replaced. They have the 'oldSize' and the new 'size'. The
+ *   'append' messages that follow start at the beginning of the new file
+ */
+
+/**
+ * The base class of all transports. A transport is created by LogTail for itself and is started via f()
+ */
+export class Transport {
+  /**
+   * @param {LogTail} tail
+   */
+  constructor(tail) {
+    this.tail = tail;
+  }
+
+  /**
+   * Starts delivering data to the tail
+   */
+  start() {}
+
+  /**
+   * Stops delivering data to the tail until start() is called again
+   */
+  stop() {}
+
+  /**
+   * Called by the tail with all data that was appended to the log, right before it's emitted
+   * @param {string} data
+   * @param {number} byteOffset The offset, in bytes, of the data within the log file
+   */
+  emitted() {}
+}
+
+/**
+ * The default transport: a HEAD request followed by a Range request at every poll interval. See LogTail#poll()
+ */
+export class PollingTransport extends Transport {
+  start() {
+    this.tail.poll();
+  }
+
+  stop() {
+    this.tail.stopPolling();
+  }
+}
+
+/**
+ * The base class of transports for which the server pushes the data. The transport asks for the last loadBytes bytes
+ * when it first connects and for the bytes after the last one it received when it reconnects, so nothing is missed.
+ * Lost connections are retried according to the retry policy of the tail
+ */
+export class StreamTransport extends Transport {
+  start() {
+    if (this._connection || this._reconnectTimer || this.tail.paused) {
+      return;
+    }
+    this.tail.console.info(`${this.constructor.name}: connecting to ${this.url}`);
+    this._connection = this.connect(this.url);
+  }
+
+  stop() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this._connection) {
+      const connection = this._connection;
+      this._connection = null;
+      this.disconnect(connection);
+    }
+  }
+
+  /**
+   * Opens the connection to the server. Implementations call opened(), received() and lost()
+   * @param {string} url
+   * @returns {object} The connection
+   */
+  connect() {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  /**
+   * Closes a connection that was opened by connect()
+   * @param {object} connection
+   */
+  disconnect(connection) {
+    connection.close();
+  }
+
+  /**
+   * Called by the implementation once the connection is open
+   * @param {object} connection
+   */
+  opened(connection) {
+    if (connection === this._connection) {
+      this.tail.streamConnected();
+    }
+  }
+
+  /**
+   * Called by the implementation with each message from the server
+   * @param {object} connection
+   * @param {string|object} message The message or its JSON
+   */
+  received(connection, message) {
+    if (connection !== this._connection) {
+      return;
+    }
+    try {
+      message = typeof message === 'string' ? JSON.parse(message) : message;
+      if (message.type === 'append') {
+        this.append(message);
+      } else if (message.type === 'truncated' || message.type === 'rotated') {
+        this._offset = undefined;
+        this.tail.receiveReset(message.type === 'rotated', message.oldSize, message.size);
+      }
+    } catch (e) {
+      this.fail(this.tail.streamFailed(e));
+    }
+  }
+
+  /**
+   * Called by the implementation when the connection was closed or failed
+   * @param {object} connection
+   * @param {*} cause The error or event that describes why, if any
+   */
+  lost(connection, cause) {
+    if (connection !== this._connection) {
+      return;
+    }
+    this.fail(this.tail.connectionLost(cause));
+  }
+
+  /**
+   * Helper method for handling an 'append' message. Bytes that were already received are skipped. If bytes are
+   * missing, the transport reconnects from the last byte it received
+   * @param {object} message
+   */
+  append(message) {
+    let bytes = decodeBase64(message.data);
+    let offset = message.offset;
+    if (this._offset !== undefined && offset !== this._offset) {
+      if (offset > this._offset) {
+        this.tail.console.warn(`${this.constructor.name}: missed bytes ${this._offset}-${offset - 1}. Reconnecting`);
+        this.stop();
+        this.start();
+        return;
+      }
+      bytes = bytes.subarray(Math.min(this._offset - offset, bytes.length));
+      offset = this._offset;
+    }
+    if (bytes.length === 0) {
+      return;
+    }
+    this._offset = offset + bytes.length;
+    this.tail.receiveBytes(bytes, offset, message.size);
+  }
+
+  /**
+   * Helper method for closing the connection after a failure and reconnecting after the delay, if any
+   * @param {number|null} delay The delay before reconnecting. Null to give up
+   */
+  fail(delay) {
+    this.stop();
+    if (delay !== null) {
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null;
+        this.start();
+      }, delay);
+    }
+  }
+
+  /**
+   * @returns {string} The URL of the stream, with the offset from which to resume or the number of bytes to load
+   */
+  get url() {
+    const url = this.tail.streamUrl || this.tail.url;
+    const query = this._offset === undefined ? `tail=${this.tail.loadBytes}` : `offset=${this._offset}`;
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+  }
+}
+
+/**
+ * Receives the data via Server-Sent Events. The server must respond to requests that accept text/event-stream with an
+ * event stream of the messages
+ */
+export class EventSourceTransport extends StreamTransport {
+  connect(url) {
+    const source = new EventSource(url);
+    source.onopen = () => this.opened(source);
+    source.onmessage = evt => this.received(source, evt.data);
+    /* EventSource reconnects by itself, but without the offset and regardless of the retry policy */
+    source.onerror = evt => this.lost(source, evt);
+    return source;
+  }
+}
+
+/**
+ * Receives the data via a WebSocket. Relative URLs are resolved against the location of the page
+ */
+export class WebSocketTransport extends StreamTransport {
+  connect(url) {
+    const socket = new WebSocket(url);
+    socket.onopen = () => this.opened(socket);
+    socket.onmessage = evt => this.received(socket, evt.data);
+    socket.onclose = evt => this.lost(socket, evt);
+    return socket;
+  }
+
+  disconnect(socket) {
+    socket.onclose = null;
+    socket.close();
+  }
+
+  get url() {
+    const url = super.url;
+    if (/^wss?:/.test(url)) {
+      return url;
+    }
+    const absolute = typeof location === 'undefined' ? new URL(url) : new URL(url, location.href);
+    absolute.protocol = absolute.protocol === 'https:' ? 'wss:' : 'ws:';
+    return absolute.href;
+  }
+}
+
+/**
+ * The transports that can be selected by name via the 'transport' option of LogTail
+ * @type {object}
+ */
+export const TRANSPORTS = {
+  poll: PollingTransport,
+  sse: EventSourceTransport,
+  websocket: WebSocketTransport,
+};
+
+/**
+ * @param {string} data
+ * @returns {Uint8Array}
+ */
+function decodeBase64(data) {
+  const binary = atob(data || '');
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}